@@ -1,10 +1,14 @@
-const CACHE_NAME = 'rezvangate-v1';
+const CACHE_NAME = 'rezvangate-v2';
 const urlsToCache = [
   '/',
   '/index.html',
   '/manifest.json'
 ];
 
+// API responses are never cached: the versioned /api/ paths, the deprecated
+// bare aliases (/ip, /host, ...) and the API docs
+const API_PATHS = /^\/(api|ip|host|range|asn|country|proxy|admin|health|metrics|info|docs|api-docs)(\/|$)/;
+
 // Install event
 self.addEventListener('install', (event) => {
   event.waitUntil(
@@ -40,7 +44,7 @@ self.addEventListener('fetch', (event) => {
   if (event.request.method !== 'GET') return;
   
   // Skip API requests (don't cache them)
-  if (event.request.url.includes('/api/')) return;
+  if (API_PATHS.test(new URL(event.request.url).pathname)) return;
 
   event.respondWith(
     fetch(event.request)
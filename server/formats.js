@@ -0,0 +1,101 @@
+// Renderers for the non-JSON response formats (CSV, plain text, XML, YAML).
+// Used by the HTTP server and the ip-lookup CLI.
+
+// Flattens nested objects and arrays into dotted keys for CSV and text output
+function flattenObject(value, prefix = '', out = {}) {
+  if (value !== null && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    if (!entries.length && prefix) {
+      out[prefix] = '';
+    }
+    for (const [key, item] of entries) {
+      flattenObject(item, prefix ? `${prefix}.${key}` : String(key), out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+const scalarToText = (value) => (value === null || value === undefined ? '' : String(value));
+
+function csvField(value) {
+  const text = scalarToText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(data) {
+  if (data === null || typeof data !== 'object') {
+    return `${csvField(data)}\r\n`;
+  }
+  const flat = flattenObject(data);
+  const keys = Object.keys(flat);
+  return `${keys.map(csvField).join(',')}\r\n${keys.map((key) => csvField(flat[key])).join(',')}\r\n`;
+}
+
+function toText(data) {
+  if (data === null || typeof data !== 'object') {
+    return `${scalarToText(data)}\n`;
+  }
+  if (Array.isArray(data) && data.every(item => item === null || typeof item !== 'object')) {
+    return data.map(item => `${scalarToText(item)}\n`).join('');
+  }
+  return Object.entries(flattenObject(data)).map(([key, value]) => `${key}: ${scalarToText(value)}\n`).join('');
+}
+
+const escapeXML = (text) => text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+
+function xmlElement(name, value, indent) {
+  const pad = '  '.repeat(indent);
+  const open = XML_NAME.test(name) ? name : `item key="${escapeXML(name)}"`;
+  const close = XML_NAME.test(name) ? name : 'item';
+  if (value === null || value === undefined) {
+    return `${pad}<${open}/>\n`;
+  }
+  if (typeof value !== 'object') {
+    return `${pad}<${open}>${escapeXML(String(value))}</${close}>\n`;
+  }
+  const children = Array.isArray(value)
+    ? value.map((item) => xmlElement('item', item, indent + 1))
+    : Object.entries(value).map(([key, item]) => xmlElement(key, item, indent + 1));
+  return children.length ? `${pad}<${open}>\n${children.join('')}${pad}</${close}>\n` : `${pad}<${open}/>\n`;
+}
+
+function toXML(data, rootName) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement(rootName, data, 0)}`;
+}
+
+// Strings are quoted whenever a YAML parser could read them as something else
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  const plain = /^[A-Za-z_/][\w ./()+-]*$/.test(value) && !/\s$/.test(value)
+    && !/^(true|false|yes|no|on|off|null|~)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function yamlLines(value, indent) {
+  const pad = '  '.repeat(indent);
+  const entries = Array.isArray(value) ? value.map((v) => [null, v]) : Object.entries(value);
+  return entries.map(([key, item]) => {
+    const label = key === null ? `${pad}-` : `${pad}${yamlScalar(key)}:`;
+    const nested = item !== null && typeof item === 'object';
+    if (nested && Object.keys(item).length) {
+      const lines = yamlLines(item, indent + 1);
+      // A mapping inside a list starts on the dash line ("- key: value")
+      return key === null && !Array.isArray(item) ? `${pad}- ${lines.slice(pad.length + 2)}` : `${label}\n${lines}`;
+    }
+    const scalar = nested ? (Array.isArray(item) ? '[]' : '{}') : yamlScalar(item);
+    return `${label} ${scalar}\n`;
+  }).join('');
+}
+
+function toYAML(data) {
+  if (data === null || typeof data !== 'object') {
+    return `${yamlScalar(data)}\n`;
+  }
+  return yamlLines(data, 0) || (Array.isArray(data) ? '[]\n' : '{}\n');
+}
+
+export { flattenObject, scalarToText, csvField, toCSV, toText, toXML, toYAML };
@@ -1,18 +1,57 @@
 import express from 'express';
 import cors from 'cors';
 import fs from 'fs';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
 import path from 'path';
-import readline from 'readline';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import maxmind from 'maxmind';
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsdoc from 'swagger-jsdoc';
+import {
+  dataDir,
+  cityLookup,
+  countryLookup,
+  asnLookup,
+  ispLookup,
+  anonymousIpLookup,
+  connectionTypeLookup,
+  domainLookup,
+  ipProxyDatabase,
+  ipLocationDatabase,
+  ipProxyV6Database,
+  ipLocationV6Database,
+  reverseIndexes,
+  OVERLAY_FILES,
+  numberToIP,
+  parseCIDR,
+  parseIP,
+  lookupProblem,
+  getPrefixPage,
+  databaseSources,
+  databaseErrors,
+  LOOKUP_SOURCES,
+  loadDatabases,
+  applyDatabases,
+  closeDatabases,
+  buildIPInfo,
+  FIELD_PROFILES,
+  INFO_FIELDS,
+  parseFields,
+  selectFields,
+  getRangeInfo,
+} from './lookup.js';
+import { toCSV, toText, toXML, toYAML } from './formats.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
+// Responses are no-store unless a handler sets its own validators (see
+// setLookupCacheHeaders), so Express's automatic ETag would only make error
+// bodies look cacheable
+app.set('etag', false);
 const PORT = process.env.PORT || 3001;
 
 // --- Swagger Configuration ---
@@ -26,9 +65,13 @@ const swaggerOptions = {
     },
     servers: [
       {
-        url: `http://localhost:${PORT}`,
+        url: `http://localhost:${PORT}/api/v1`,
         description: 'Local development server',
       },
+      {
+        url: `http://localhost:${PORT}`,
+        description: 'Local development server (deprecated unversioned paths)',
+      },
     ],
   },
   apis: ['./server/index.js'], // Path to the API docs
@@ -38,126 +81,107 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-// --- Database Configuration ---
-const dataDir = join(__dirname, '..', 'data');
-
-// MaxMind (MMDB)
-let cityLookup = null;
-let asnLookup = null;
-
-// IP2Location / IP2Proxy (CSV)
-let ipProxyDatabase = [];
-let ipLocationDatabase = [];
-const proxyDbPath = join(dataDir, 'IP2PROXY-LITE-PX12.CSV/IP2PROXY-LITE-PX12.CSV');
-const locationDbPath = join(dataDir, 'IP2LOCATION-LITE-DB11.CSV/IP2LOCATION-LITE-DB11.CSV');
-
-// --- Helper Functions for CSV Databases ---
-async function loadIPDatabase(dbPath, columns) {
-  if (!fs.existsSync(dbPath)) {
-    return [];
-  }
-  return new Promise((resolve, reject) => {
-    const db = [];
-    const fileStream = fs.createReadStream(dbPath, { encoding: 'utf8' });
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
+// --- Initialize Databases ---
+let startupTimeMs = null;
+let lastReload = null;
+// Changes whenever a database set is applied; part of lookup cache keys and ETags
+let databaseVersion = null;
+let databasesReady = false;
 
-    rl.on('line', (line) => {
-      const parts = line.split(',').map(p => p.replace(/"/g, ''));
-      if (parts.length < 2) return;
-      const entry = new Array(columns.length + 2);
-      entry[0] = BigInt(parts[0]); // ipFrom
-      entry[1] = BigInt(parts[1]); // ipTo
-      for (let i = 0; i < columns.length; i++) {
-        entry[i + 2] = parts[i + 2] === '-' ? null : parts[i + 2];
-      }
-      db.push(entry);
-    });
+// GeoLite2 and the LITE editions are rebuilt monthly; lookup databases older
+// than this are flagged in /info and logged. See `npm run update-db`.
+const DB_MAX_AGE_DAYS = Number(process.env.DB_MAX_AGE_DAYS) || 35;
+const STALE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
 
-    rl.on('close', () => {
-      db.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
-      resolve(db);
-    });
+function ageInDays(isoDate) {
+  return isoDate ? Number(((Date.now() - Date.parse(isoDate)) / 86400000).toFixed(1)) : null;
+}
 
-    rl.on('error', reject);
-    fileStream.on('error', reject);
-  });
+// Prefers the build date from MMDB metadata; CSV editions only have the file
+// time, which update-db sets from the archive rather than the download.
+function isStale(source) {
+  return source.loaded && LOOKUP_SOURCES.includes(source.name) && ageInDays(source.buildDate || source.modifiedAt) > DB_MAX_AGE_DAYS;
 }
 
-function ipToNumber(ip) {
-  const parts = ip.split('.');
-  if (parts.length !== 4) return null;
-  for (const part of parts) {
-    const num = parseInt(part, 10);
-    if (isNaN(num) || num < 0 || num > 255) return null;
-  }
-  return BigInt(
-    (parseInt(parts[0], 10) * 16777216) +
-    (parseInt(parts[1], 10) * 65536) +
-    (parseInt(parts[2], 10) * 256) +
-    parseInt(parts[3], 10)
-  );
-}
-
-function lookupIP(ipNum, db) {
-  if (!db || db.length === 0) return null;
-  let left = 0;
-  let right = db.length - 1;
-  while (left <= right) {
-    const mid = Math.floor((left + right) / 2);
-    const entry = db[mid];
-    if (ipNum >= entry[0] && ipNum <= entry[1]) return entry;
-    if (ipNum < entry[0]) right = mid - 1;
-    else left = mid + 1;
+function warnStaleDatabases() {
+  for (const source of databaseSources.filter(isStale)) {
+    const age = ageInDays(source.buildDate || source.modifiedAt);
+    console.warn(`⚠️ ${source.name} is ${Math.floor(age)} days old (DB_MAX_AGE_DAYS=${DB_MAX_AGE_DAYS}); run "npm run update-db"`);
   }
-  return null;
 }
 
-// --- Initialize Databases ---
+// Applies a loaded set to the engine and starts a new cache generation
+function activateDatabases(databases) {
+  applyDatabases(databases);
+  databaseVersion = Date.now().toString(36);
+  lookupCache.clear();
+  warnStaleDatabases();
+}
+
 async function initDatabases() {
   console.log('🔄 Initializing databases...');
+  const { databases, durationMs } = await loadDatabases();
+  activateDatabases(databases);
+  startupTimeMs = durationMs;
+  databasesReady = true;
+  console.log(`✅ Databases ready in ${durationMs}ms`);
+}
 
-  // Load MaxMind
-  try {
-    const cityPath = join(dataDir, 'GeoLite2-City.mmdb');
-    const asnPath = join(dataDir, 'GeoLite2-ASN.mmdb');
-    if (fs.existsSync(cityPath)) cityLookup = await maxmind.open(cityPath);
-    if (fs.existsSync(asnPath)) asnLookup = await maxmind.open(asnPath);
-    if (cityLookup) console.log('✅ MaxMind City database loaded');
-    if (asnLookup) console.log('✅ MaxMind ASN database loaded');
-  } catch (error) {
-    console.error('❌ Failed to load MaxMind databases:', error.message);
+// Reloads run one at a time; triggers that arrive meanwhile collapse into
+// a single follow-up reload.
+let reloadInProgress = null;
+let reloadQueued = false;
+
+async function runReload(reason) {
+  console.log(`🔄 Reloading databases (${reason})...`);
+  const { databases, errors, durationMs } = await loadDatabases();
+  lastReload = { at: new Date().toISOString(), reason, durationMs, applied: errors.length === 0, errors };
+  if (errors.length > 0) {
+    console.error('❌ Reload failed, keeping the previously loaded databases');
+    closeDatabases(databases);
+  } else {
+    activateDatabases(databases);
+    console.log(`✅ Databases reloaded in ${durationMs}ms`);
   }
+  return lastReload;
+}
 
-  // Load IP2Proxy
-  try {
-    if (fs.existsSync(proxyDbPath)) {
-      console.log('⏳ Loading IP2Proxy CSV...');
-      ipProxyDatabase = await loadIPDatabase(proxyDbPath, [
-        'proxyType', 'countryCode', 'countryName', 'regionName', 'cityName', 'isp', 'domain', 'usageType', 'asn', 'as', 'lastSeen', 'threat', 'provider'
-      ]);
-      console.log(`✅ IP2Proxy CSV loaded: ${ipProxyDatabase.length} entries`);
-    }
-  } catch (error) {
-    console.error('❌ Failed to load IP2Proxy database:', error.message);
+function reloadDatabases(reason) {
+  if (reloadInProgress) {
+    reloadQueued = true;
+    return reloadInProgress;
   }
+  reloadInProgress = runReload(reason).finally(() => {
+    reloadInProgress = null;
+    if (reloadQueued) {
+      reloadQueued = false;
+      reloadDatabases('queued change');
+    }
+  });
+  return reloadInProgress;
+}
+
+// Opt-in watcher on data/. Waits for writes to settle before reloading and
+// only reacts to database files, not the caches and stores kept beside them.
+const WATCH_DATA = process.env.WATCH_DATA === 'true';
+const WATCH_DEBOUNCE_MS = parseInt(process.env.WATCH_DEBOUNCE_MS, 10) || 5000;
 
-  // Load IP2Location
+function watchDataDir() {
+  let timer = null;
+  const onChange = (eventType, filename) => {
+    // Skips update-db's staging and rollback copies (.update, .previous)
+    if (!filename || filename.split(path.sep).some(part => part.startsWith('.'))) return;
+    const isOverlay = OVERLAY_FILES.some(file => path.basename(file) === path.basename(filename));
+    if (!isOverlay && !/\.(mmdb|csv|bin|txt)$/i.test(filename)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => reloadDatabases(`${filename} changed`), WATCH_DEBOUNCE_MS);
+  };
   try {
-    if (fs.existsSync(locationDbPath)) {
-      console.log('⏳ Loading IP2Location CSV...');
-      ipLocationDatabase = await loadIPDatabase(locationDbPath, [
-        'countryCode', 'countryName', 'regionName', 'cityName', 'isp', 'latitude', 'longitude', 'domain', 'zipCode', 'timeZone', 'netspeed', 'iddCode', 'areaCode', 'weatherStationCode', 'weatherStationName', 'mcc', 'mnc', 'mobileBrand', 'elevation', 'usageType'
-      ]);
-      console.log(`✅ IP2Location CSV loaded: ${ipLocationDatabase.length} entries`);
-    }
+    fs.watch(dataDir, { recursive: true }, onChange);
+    console.log(`👀 Watching ${dataDir} for database updates`);
   } catch (error) {
-    console.error('❌ Failed to load IP2Location database:', error.message);
+    console.error('❌ Could not watch data directory:', error.message);
   }
-
-  return true;
 }
 
 // --- Middlewares ---
@@ -175,171 +199,985 @@ app.use((req, res, next) => {
 
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  methods: ['GET'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'API-Version'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'ETag', 'API-Version', 'Deprecation', 'Sunset', 'Link'],
   maxAge: 86400
 };
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10kb' }));
 
-// Rate limiting
-const rateLimit = new Map();
-const RATE_LIMIT_WINDOW = 60000;
-const RATE_LIMIT_MAX = 100;
+// --- API Versioning ---
+// Every endpoint is registered on `api` and mounted under /api/v1. The bare
+// paths (/ip, /info, ...) and the unversioned /api/ paths are aliases of the
+// current version that answer with Deprecation/Link headers pointing at their
+// versioned successor; health checks and /metrics stay unversioned for
+// probes and scrapers. Clients may pin a version with the API-Version request
+// header, which every API response echoes.
+const API_VERSION = '1';
+const SUPPORTED_API_VERSIONS = [API_VERSION];
+const API_PREFIX = `/api/v${API_VERSION}`;
+const VERSIONED_PATH = /^\/api\/v([^/]+)(?=\/|$)/;
+const UNVERSIONED_PATHS = ['/health', '/metrics'];
+// RFC 9745 date of the deprecation, and an optional RFC 8594 sunset date
+const LEGACY_DEPRECATED_AT = Date.parse('2026-10-19T00:00:00Z');
+const LEGACY_SUNSET = process.env.LEGACY_API_SUNSET ? new Date(process.env.LEGACY_API_SUNSET) : null;
+
+const api = express.Router();
 
 app.use((req, res, next) => {
-  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
-  const now = Date.now();
-  if (!rateLimit.has(ip)) {
-    rateLimit.set(ip, { count: 1, startTime: now });
-  } else {
-    const record = rateLimit.get(ip);
-    if (now - record.startTime > RATE_LIMIT_WINDOW) {
-      record.count = 1;
-      record.startTime = now;
-    } else {
-      record.count++;
-      if (record.count > RATE_LIMIT_MAX) {
-        return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+  const match = req.path.match(VERSIONED_PATH);
+  // The path with any /api or /api/vN prefix removed, as routed by `api`
+  req.apiPath = match ? req.path.slice(match[0].length) || '/' : req.path.replace(/^\/api(?=\/)/, '');
+  if (['/docs', '/api-docs'].some(p => req.path === p || req.path.startsWith(`${p}/`))) return next();
+
+  const requested = req.get('API-Version')?.trim().replace(/^v/i, '');
+  const version = match?.[1] ?? requested ?? API_VERSION;
+  if (!SUPPORTED_API_VERSIONS.includes(version)) {
+    return sendProblem(req, res, httpProblem(match ? 404 : 406, `Unsupported API version "${version}"`, { supportedVersions: SUPPORTED_API_VERSIONS }));
+  }
+  if (match && requested && requested !== version) {
+    return sendProblem(req, res, httpProblem(406, `API-Version ${requested} does not match the requested path ${match[0]}`, { supportedVersions: SUPPORTED_API_VERSIONS }));
+  }
+  res.setHeader('API-Version', version);
+
+  const unversioned = UNVERSIONED_PATHS.some(p => req.apiPath === p || req.apiPath.startsWith(`${p}/`));
+  if (!match && !unversioned) {
+    const query = req.originalUrl.slice(req.originalUrl.indexOf('?') + 1 || req.originalUrl.length);
+    const successor = `${API_PREFIX}${req.apiPath === '/' ? '' : req.apiPath}${query ? `?${query}` : ''}`;
+    res.setHeader('Deprecation', `@${Math.floor(LEGACY_DEPRECATED_AT / 1000)}`);
+    res.setHeader('Link', `<${redactUrl(successor)}>; rel="successor-version"`);
+    if (LEGACY_SUNSET && !isNaN(LEGACY_SUNSET)) res.setHeader('Sunset', LEGACY_SUNSET.toUTCString());
+  }
+  next();
+});
+
+// Batch endpoints parse their own (larger) bodies
+const BATCH_PATH = '/ip/batch';
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 1000;
+const BATCH_BODY_LIMIT = process.env.BATCH_BODY_LIMIT || '1mb';
+// Longest line the streaming endpoint buffers; an address with a zone ID or a
+// small JSON object fits many times over
+const BATCH_MAX_LINE_LENGTH = 1024;
+
+const jsonParser = express.json({ limit: '10kb' });
+app.use((req, res, next) => (req.apiPath.startsWith(BATCH_PATH) ? next() : jsonParser(req, res, next)));
+
+// --- Client IP Resolution ---
+// Forwarding headers are only honored when the direct peer is a trusted
+// proxy. TRUSTED_PROXIES is a comma-separated list of CIDRs and the keywords
+// "loopback", "private" and "cloudflare" (ranges read from CLOUDFLARE_IPS_FILE).
+// CF-Connecting-IP is only honored from the "cloudflare" ranges, and header
+// values that are not IP addresses are ignored.
+const CLOUDFLARE_IPS_FILE = process.env.CLOUDFLARE_IPS_FILE || join(__dirname, 'cloudflare-ips.txt');
+const TRUSTED_PROXY_KEYWORDS = {
+  loopback: () => ['127.0.0.0/8', '::1/128'],
+  private: () => ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10', 'fc00::/7', 'fe80::/10'],
+  cloudflare: () => fs.readFileSync(CLOUDFLARE_IPS_FILE, 'utf8')
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean),
+};
+
+function loadTrustedProxies() {
+  const ranges = [];
+  const entries = (process.env.TRUSTED_PROXIES ?? 'loopback').split(',').map(entry => entry.trim()).filter(Boolean);
+  for (const entry of entries) {
+    let cidrs = [entry];
+    if (TRUSTED_PROXY_KEYWORDS[entry]) {
+      try {
+        cidrs = TRUSTED_PROXY_KEYWORDS[entry]();
+      } catch (error) {
+        console.error(`❌ Failed to load trusted proxies for "${entry}":`, error.message);
+        continue;
       }
     }
+    for (const cidr of cidrs) {
+      const range = parseCIDR(cidr);
+      if (range) ranges.push({ ...range, cloudflare: entry === 'cloudflare' });
+      else console.warn(`⚠️ Ignoring invalid trusted proxy entry: ${cidr}`);
+    }
+  }
+  return ranges;
+}
+
+const trustedProxies = loadTrustedProxies();
+const cloudflareProxies = trustedProxies.filter(range => range.cloudflare);
+
+function normalizeIP(ip) {
+  if (ip === '::1') return '127.0.0.1';
+  return parseIP(ip)?.ip ?? ip;
+}
+
+function isInRanges(ip, ranges) {
+  const range = parseCIDR(ip);
+  if (!range) return false;
+  return ranges.some(trusted => trusted.version === range.version && range.start >= trusted.start && range.start <= trusted.end);
+}
+
+const isTrustedProxy = (ip) => isInRanges(ip, trustedProxies);
+
+// Node strips brackets and ports only for the socket address, so do it for
+// forwarded values ("[2001:db8::1]:4711", "192.0.2.1:8080")
+function stripPort(value) {
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(value);
+  if (bracketed) return bracketed[1];
+  const v4WithPort = /^(\d+\.\d+\.\d+\.\d+):\d+$/.exec(value);
+  return v4WithPort ? v4WithPort[1] : value;
+}
+
+// Extracts the for= addresses of an RFC 7239 Forwarded header, nearest hop last
+function parseForwardedHeader(header) {
+  const hops = [];
+  for (const element of header.split(',')) {
+    for (const pair of element.split(';')) {
+      const [name, ...rest] = pair.split('=');
+      if (name.trim().toLowerCase() !== 'for') continue;
+      hops.push(stripPort(rest.join('=').trim().replace(/^"(.*)"$/, '$1')));
+    }
+  }
+  return hops;
+}
+
+// The normalized address of a forwarded value, or null when it is not an IP
+function parseForwardedIP(value) {
+  const parsed = parseIP(stripPort(value.trim()));
+  return parsed ? normalizeIP(parsed.ip) : null;
+}
+
+function getClientIP(req) {
+  const peer = normalizeIP(req.socket.remoteAddress || '');
+  if (!isTrustedProxy(peer)) return peer;
+
+  // Any other proxy may pass a client's own CF-Connecting-IP through
+  const cfIP = req.headers['cf-connecting-ip'];
+  if (cfIP && isInRanges(peer, cloudflareProxies)) {
+    const ip = parseForwardedIP(cfIP);
+    if (ip) return ip;
+  }
+
+  const forwarded = req.headers.forwarded;
+  const xForwardedFor = req.headers['x-forwarded-for'];
+  const chain = forwarded
+    ? parseForwardedHeader(forwarded)
+    : xForwardedFor ? xForwardedFor.split(',') : [];
+  // Walk back from the nearest hop past every proxy we trust. An obfuscated
+  // or unparsable hop ends the walk at the last address we could trust.
+  let client = peer;
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const hop = parseForwardedIP(chain[i]);
+    if (!hop) break;
+    client = hop;
+    if (!isTrustedProxy(hop)) break;
   }
+  if (client !== peer || chain.length > 0) return client;
+
+  const xRealIP = req.headers['x-real-ip'];
+  return (xRealIP && parseForwardedIP(xRealIP)) || peer;
+}
+
+app.use((req, res, next) => {
+  req.clientIp = getClientIP(req);
   next();
 });
 
-// --- IP Lookup Logic ---
-function getIPInfo(ip) {
-  if (!ip || ip === '127.0.0.1' || ip === '::1' || ip === 'localhost') {
-    return { error: 'Invalid or local IP address' };
-  }
+// --- Metrics and Access Logs ---
+// A minimal Prometheus registry: counters and histograms keyed by label
+// values, rendered in the text exposition format by /metrics.
+const REQUEST_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const LOOKUP_DURATION_BUCKETS = [0.00001, 0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01];
+const metrics = [];
 
-  const result = { ip };
-  const isIPv6 = ip.includes(':');
-  result.ipType = isIPv6 ? 'IPv6' : 'IPv4';
-  if (isIPv6) result.ipv6 = ip; else result.ipv4 = ip;
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
 
-  // Try MaxMind
-  if (cityLookup || asnLookup) {
-    try {
-      const cityData = cityLookup?.get(ip);
-      const asnData = asnLookup?.get(ip);
-      if (cityData) {
-        result.country = cityData.country?.names?.en;
-        result.countryCode = cityData.country?.iso_code;
-        result.region = cityData.subdivisions?.[0]?.names?.en;
-        result.regionCode = cityData.subdivisions?.[0]?.iso_code;
-        result.city = cityData.city?.names?.en;
-        result.postalCode = cityData.postal?.code;
-        result.latitude = cityData.location?.latitude;
-        result.longitude = cityData.location?.longitude;
-        result.timezone = cityData.location?.time_zone;
-        result.source = 'MaxMind';
-      }
-      if (asnData) {
-        result.isp = asnData.autonomous_system_organization;
-        result.organization = asnData.autonomous_system_organization;
-        result.asn = asnData.autonomous_system_number;
-        result.asName = `AS${asnData.autonomous_system_number} ${asnData.autonomous_system_organization || ''}`;
-        result.source = result.source ? result.source + ' + AS' : 'MaxMind ASN';
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    collect() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} counter`, ...[...series].map(([key, value]) => `${name}${key} ${value}`)];
+    },
+  };
+  metrics.push(counter);
+  return counter;
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  const histogram = {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+        series.set(key, entry);
       }
-    } catch (e) { }
-  }
-
-  // Try IP2Location/Proxy for IPv4
-  if (!isIPv6) {
-    const ipNum = ipToNumber(ip);
-    if (ipNum !== null) {
-      const proxyResult = lookupIP(ipNum, ipProxyDatabase);
-      if (proxyResult) {
-        result.source = result.source ? result.source + ' + IP2Proxy' : 'IP2Proxy';
-        result.proxyType = proxyResult[2];
-        result.country = result.country || proxyResult[4];
-        result.countryCode = result.countryCode || proxyResult[3];
-        result.region = result.region || proxyResult[5];
-        result.city = result.city || proxyResult[6];
-        result.isp = result.isp || proxyResult[7];
-        result.domain = proxyResult[8];
-        result.usageType = proxyResult[9];
-        result.asn = result.asn || proxyResult[10];
-        result.asName = result.asName || proxyResult[11];
-        result.lastSeen = proxyResult[12];
-        result.threat = proxyResult[13];
-        result.provider = proxyResult[14];
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    collect() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
       }
+      return lines;
+    },
+  };
+  metrics.push(histogram);
+  return histogram;
+}
+
+// Values owned by other code are read when scraped; `read` returns [labels, value] pairs
+function createGauge(name, help, read, type = 'gauge') {
+  const gauge = {
+    collect() {
+      const samples = read().filter(([, value]) => value !== null && value !== undefined);
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples.map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`)];
+    },
+  };
+  metrics.push(gauge);
+  return gauge;
+}
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by method, route and status');
+const httpRequestDuration = createHistogram('http_request_duration_seconds', 'HTTP request latency by route', REQUEST_DURATION_BUCKETS);
+const lookupDuration = createHistogram('ip_lookup_duration_seconds', 'Time to build an IP lookup result (cache misses)', LOOKUP_DURATION_BUCKETS);
+const rateLimitRejections = createCounter('rate_limit_rejections_total', 'Requests refused by the rate limit or a daily quota');
+
+createGauge('lookup_cache_entries', 'Entries in the lookup result cache', () => [[{}, lookupCache.describe().size]]);
+createGauge('lookup_cache_requests_total', 'Lookup cache hits and misses', () => {
+  const { hits, misses } = lookupCache.describe();
+  return [[{ result: 'hit' }, hits], [{ result: 'miss' }, misses]];
+}, 'counter');
+createGauge('database_entries', 'Ranges held by each IP2Location/IP2Proxy database', () => csvDatabases().map(([database, db]) => [{ database }, db?.length]));
+createGauge('database_load_duration_seconds', 'Time taken to load each IP2Location/IP2Proxy database', () =>
+  csvDatabases().map(([database, db]) => [{ database }, db && db.stats.loadTimeMs / 1000]));
+createGauge('database_loaded', 'Whether each database is loaded', () => [
+  [{ database: 'maxmind_city' }, cityLookup ? 1 : 0],
+  [{ database: 'maxmind_country' }, countryLookup ? 1 : 0],
+  [{ database: 'maxmind_asn' }, asnLookup ? 1 : 0],
+  [{ database: 'maxmind_isp' }, ispLookup ? 1 : 0],
+  [{ database: 'maxmind_anonymous_ip' }, anonymousIpLookup ? 1 : 0],
+  [{ database: 'maxmind_connection_type' }, connectionTypeLookup ? 1 : 0],
+  [{ database: 'maxmind_domain' }, domainLookup ? 1 : 0],
+  ...csvDatabases().map(([database, db]) => [{ database }, db ? 1 : 0]),
+]);
+createGauge('process_memory_bytes', 'Process memory usage', () =>
+  Object.entries(process.memoryUsage()).map(([type, bytes]) => [{ type }, bytes]));
+createGauge('process_uptime_seconds', 'Seconds since the process started', () => [[{}, Math.round(process.uptime())]]);
+
+function csvDatabases() {
+  return [
+    ['ip2proxy', ipProxyDatabase],
+    ['ip2proxy_ipv6', ipProxyV6Database],
+    ['ip2location', ipLocationDatabase],
+    ['ip2location_ipv6', ipLocationV6Database],
+  ];
+}
+
+// JSON access log lines on stdout (ACCESS_LOG=false turns them off). With
+// ANONYMIZE_LOG_IPS=true client addresses are truncated to their /24 (IPv4)
+// or /48 (IPv6) before they are written.
+const ACCESS_LOG = process.env.ACCESS_LOG !== 'false';
+const ANONYMIZE_LOG_IPS = process.env.ANONYMIZE_LOG_IPS === 'true';
+
+function anonymizeIP(ip) {
+  const host = parseCIDR(ip || '');
+  if (!host) return ip;
+  const network = parseCIDR(`${ip}/${host.version === 4 ? 24 : 48}`);
+  return numberToIP(network.start, network.version);
+}
+
+// API keys may arrive in the query string; keep them out of the logs
+const redactUrl = (url) => url.replace(/([?&]api_key=)[^&]*/gi, '$1[redacted]');
+
+app.use((req, res, next) => {
+  const started = performance.now();
+  res.on('finish', () => {
+    const seconds = (performance.now() - started) / 1000;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ route }, seconds);
+    if (!ACCESS_LOG) return;
+    console.log(JSON.stringify({
+      time: new Date().toISOString(),
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      route,
+      status: res.statusCode,
+      durationMs: Number((seconds * 1000).toFixed(2)),
+      bytes: Number(res.getHeader('Content-Length')) || 0,
+      ip: ANONYMIZE_LOG_IPS ? anonymizeIP(req.clientIp) : req.clientIp,
+      apiKey: req.apiKey?.id,
+      userAgent: req.headers['user-agent'],
+    }));
+  });
+  next();
+});
+
+// --- Rate Limiting and API Keys ---
+// Requests are billed to an API key (X-API-Key header or api_key query
+// parameter) or, without one, to the client address. Each key has its own
+// per-minute rate and optional daily quota; usage counters are flushed to
+// API_KEYS_FILE periodically so they survive restarts.
+const rateLimit = new Map();
+const RATE_LIMIT_WINDOW = 60000;
+const RATE_LIMIT_MAX = 100;
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const API_KEYS_FILE = process.env.API_KEYS_FILE || join(dataDir, 'api-keys.json');
+const USAGE_FLUSH_INTERVAL = 10000;
+const USAGE_HISTORY_DAYS = 30;
+const KEYLESS_PATHS = ['/health', '/admin', '/metrics'];
+
+const apiKeys = new Map();
+const apiKeysByHash = new Map();
+let apiKeysDirty = false;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function loadApiKeys() {
+  if (!fs.existsSync(API_KEYS_FILE)) return;
+  try {
+    const { keys } = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    for (const record of keys) {
+      // Keys stored without a rate limit get the anonymous one
+      record.rateLimit ??= RATE_LIMIT_MAX;
+      apiKeys.set(record.id, record);
+      apiKeysByHash.set(record.keyHash, record);
+    }
+    console.log(`✅ API keys loaded: ${apiKeys.size} keys`);
+  } catch (error) {
+    console.error('❌ Failed to load API keys:', error.message);
+  }
+}
+
+function saveApiKeys() {
+  if (!apiKeysDirty) return;
+  apiKeysDirty = false;
+  const tmpPath = `${API_KEYS_FILE}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(dirname(API_KEYS_FILE), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ keys: [...apiKeys.values()] }, null, 2));
+    fs.renameSync(tmpPath, API_KEYS_FILE);
+  } catch (error) {
+    apiKeysDirty = true;
+    console.error('❌ Failed to save API keys:', error.message);
+  }
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+}
+
+function recordUsage(record, cost) {
+  const { usage } = record;
+  const day = utcDay();
+  usage.total += cost;
+  usage.daily[day] = (usage.daily[day] || 0) + cost;
+  usage.lastUsedAt = new Date().toISOString();
+  const days = Object.keys(usage.daily).sort();
+  for (const old of days.slice(0, -USAGE_HISTORY_DAYS)) delete usage.daily[old];
+  apiKeysDirty = true;
+}
+
+function createApiKey({ name, rateLimit: keyRateLimit, dailyQuota }) {
+  const key = `rg_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.slice(0, 7),
+    rateLimit: keyRateLimit,
+    dailyQuota,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    usage: { total: 0, daily: {}, lastUsedAt: null },
+  };
+  apiKeys.set(record.id, record);
+  apiKeysByHash.set(record.keyHash, record);
+  apiKeysDirty = true;
+  saveApiKeys();
+  return { key, record };
+}
+
+function describeApiKey(record) {
+  const { keyHash: _keyHash, ...rest } = record;
+  return { ...rest, usage: { ...record.usage, today: record.usage.daily[utcDay()] || 0 } };
+}
+
+function getRateLimitKey(req) {
+  return req.clientIp || 'unknown';
+}
+
+// Counts `cost` requests against `key`. Refuses (and counts nothing) when
+// that would go over `max` for the current window.
+function consumeRateLimit(key, cost = 1, max = RATE_LIMIT_MAX) {
+  const now = Date.now();
+  let record = rateLimit.get(key);
+  if (!record || now - record.startTime > RATE_LIMIT_WINDOW) {
+    record = { count: 0, startTime: now };
+    rateLimit.set(key, record);
+  }
+  const reset = Math.ceil((record.startTime + RATE_LIMIT_WINDOW - now) / 1000);
+  if (record.count + cost > max) return { allowed: false, limit: max, remaining: max - record.count, reset };
+  record.count += cost;
+  return { allowed: true, limit: max, remaining: max - record.count, reset };
+}
+
+const RATE_LIMIT_ERROR = httpProblem(429, 'Too many requests. Please try again later.');
+const QUOTA_ERROR = httpProblem(429, 'Daily quota exceeded for this API key.');
+
+// Bills `cost` lookups to the request's API key or address and sets the
+// RateLimit-* headers for the tighter of the two limits. Returns the error
+// body when the request is refused, null otherwise.
+function chargeRequest(req, res, cost = 1) {
+  const record = req.apiKey;
+  const windowSeconds = RATE_LIMIT_WINDOW / 1000;
+  let quota = null;
+  if (record?.dailyQuota) {
+    const used = record.usage.daily[utcDay()] || 0;
+    const allowed = used + cost <= record.dailyQuota;
+    quota = { allowed, limit: record.dailyQuota, remaining: record.dailyQuota - used - (allowed ? cost : 0), reset: secondsUntilUtcMidnight() };
+  }
+  const window = quota && !quota.allowed
+    ? { allowed: true, limit: record.rateLimit, remaining: record.rateLimit, reset: windowSeconds }
+    : record
+      ? consumeRateLimit(`key:${record.id}`, cost, record.rateLimit)
+      : consumeRateLimit(`ip:${getRateLimitKey(req)}`, cost);
+
+  if (!res.headersSent) {
+    const shown = quota && quota.remaining < window.remaining ? quota : window;
+    const policies = [`${window.limit};w=${windowSeconds}`];
+    if (quota) policies.push(`${quota.limit};w=86400`);
+    res.setHeader('RateLimit-Limit', shown.limit);
+    res.setHeader('RateLimit-Remaining', Math.max(shown.remaining, 0));
+    res.setHeader('RateLimit-Reset', shown.reset);
+    res.setHeader('RateLimit-Policy', policies.join(', '));
+    if (quota && !quota.allowed) res.setHeader('Retry-After', quota.reset);
+    else if (!window.allowed) res.setHeader('Retry-After', window.reset);
+  }
+  if (quota && !quota.allowed) {
+    rateLimitRejections.inc({ reason: 'quota' });
+    return QUOTA_ERROR;
+  }
+  if (!window.allowed) {
+    rateLimitRejections.inc({ reason: 'rate_limit' });
+    return RATE_LIMIT_ERROR;
+  }
+  if (record) recordUsage(record, cost);
+  return null;
+}
+
+app.use((req, res, next) => {
+  const key = req.headers['x-api-key'] || req.query.api_key;
+  if (key) {
+    const record = apiKeysByHash.get(hashApiKey(String(key)));
+    if (!record || record.revokedAt) {
+      return sendProblem(req, res, httpProblem(401, 'Invalid or revoked API key'));
+    }
+    req.apiKey = record;
+  } else if (REQUIRE_API_KEY && !KEYLESS_PATHS.some(p => req.apiPath === p || req.apiPath.startsWith(`${p}/`))) {
+    return sendProblem(req, res, httpProblem(401, 'API key required. Send it in the X-API-Key header or the api_key query parameter.'));
+  }
 
-      const locResult = lookupIP(ipNum, ipLocationDatabase);
-      if (locResult) {
-        result.source = result.source ? (result.source.includes('IP2Location') ? result.source : result.source + ' + IP2Location') : 'IP2Location';
-        result.country = result.country || locResult[3]; // countryName
-        result.countryCode = result.countryCode || locResult[2]; // countryCode
-        result.region = result.region || locResult[4];
-        result.city = result.city || locResult[5];
-        result.isp = result.isp || locResult[6];
-        result.latitude = result.latitude || parseFloat(locResult[7]);
-        result.longitude = result.longitude || parseFloat(locResult[8]);
-        result.domain = result.domain || locResult[9];
-        result.zipCode = result.zipCode || locResult[10];
-        result.timeZone = result.timeZone || locResult[11];
-        result.netspeed = locResult[12];
-        result.iddCode = locResult[13];
-        result.areaCode = locResult[14];
-        result.weatherStationCode = locResult[15];
-        result.weatherStationName = locResult[16];
-        result.mcc = locResult[17];
-        result.mnc = locResult[18];
-        result.mobileBrand = locResult[19];
-        result.elevation = locResult[20];
-        result.usageType = result.usageType || locResult[21];
+  // Batch requests are counted per item by their handlers
+  if (req.apiPath.startsWith(BATCH_PATH)) return next();
+  const error = chargeRequest(req, res);
+  if (error) {
+    return sendProblem(req, res, error);
+  }
+  next();
+});
+
+// --- Lookup Cache ---
+// getIPInfo results are kept in an LRU cache (LOOKUP_CACHE_SIZE entries, 0
+// disables it). Keys include the database version and the cache is cleared
+// whenever a new database set is applied.
+const LOOKUP_CACHE_SIZE = parseInt(process.env.LOOKUP_CACHE_SIZE ?? '10000', 10) || 0;
+
+// Map iteration order is insertion order, so re-inserting on every hit keeps
+// the least recently used entry first
+function createLRUCache(maxSize) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        stats.misses++;
+        return undefined;
+      }
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      stats.hits++;
+      return value;
+    },
+    set(key, value) {
+      if (maxSize <= 0) return;
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
       }
+    },
+    clear() {
+      entries.clear();
+    },
+    describe() {
+      const lookups = stats.hits + stats.misses;
+      return { size: entries.size, maxSize, ...stats, hitRate: lookups ? Number((stats.hits / lookups).toFixed(4)) : null };
+    },
+  };
+}
+
+const lookupCache = createLRUCache(LOOKUP_CACHE_SIZE);
+
+// Cached entry point. Callers get their own copy, so adding fields (such as
+// hostnames) never leaks into the cache. Entries are keyed on the normalized
+// address, so every spelling of one address shares an entry.
+function getIPInfo(input, { explain = false, fields = null } = {}) {
+  const ip = parseIP(input)?.ip ?? input;
+  const key = `${databaseVersion}|${explain ? 'explain|' : ''}${ip}`;
+  let info = lookupCache.get(key);
+  if (!info) {
+    const started = performance.now();
+    info = buildIPInfo(ip, { explain });
+    lookupDuration.observe({}, (performance.now() - started) / 1000);
+    lookupCache.set(key, info);
+  }
+  return fields ? selectFields(info, fields) : { ...info };
+}
+
+// --- DNS Resolution ---
+// Hostname lookups and reverse DNS use their own resolver so DNS_SERVERS can
+// point at a local stub (e.g. "127.0.0.1:5353"). Answers are cached for their
+// TTL, capped at DNS_CACHE_TTL seconds; "no such name" answers for DNS_NEGATIVE_TTL.
+const DNS_SERVERS = (process.env.DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean);
+const DNS_TIMEOUT_MS = parseInt(process.env.DNS_TIMEOUT_MS, 10) || 2000;
+const DNS_TRIES = parseInt(process.env.DNS_TRIES, 10) || 2;
+const DNS_CACHE_TTL = parseInt(process.env.DNS_CACHE_TTL, 10) || 300;
+const DNS_CACHE_MAX = parseInt(process.env.DNS_CACHE_MAX, 10) || 10000;
+const DNS_NEGATIVE_TTL = 60;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+const resolver = new dns.promises.Resolver({ timeout: DNS_TIMEOUT_MS, tries: DNS_TRIES });
+if (DNS_SERVERS.length > 0) resolver.setServers(DNS_SERVERS);
+const dnsCache = new Map();
+
+// Runs `query` (resolving to { value, ttl }) unless a live answer is cached
+async function cachedDnsQuery(key, query) {
+  const cached = dnsCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+  dnsCache.delete(key);
+
+  let answer;
+  try {
+    answer = await query();
+  } catch (error) {
+    if (error.code !== 'ENODATA' && error.code !== 'ENOTFOUND') throw error;
+    answer = { value: [], ttl: DNS_NEGATIVE_TTL };
+  }
+  if (dnsCache.size >= DNS_CACHE_MAX) dnsCache.delete(dnsCache.keys().next().value);
+  dnsCache.set(key, { value: answer.value, expires: Date.now() + Math.min(answer.ttl, DNS_CACHE_TTL) * 1000 });
+  return answer.value;
+}
+
+// A and AAAA addresses of a hostname. One family failing is fine as long as
+// the other answers; if neither does, the first error is thrown.
+async function resolveHost(name) {
+  const query = (family) => cachedDnsQuery(`${family}:${name}`, async () => {
+    const records = family === 'A' ? await resolver.resolve4(name, { ttl: true }) : await resolver.resolve6(name, { ttl: true });
+    return { value: records.map(record => record.address), ttl: Math.min(DNS_CACHE_TTL, ...records.map(record => record.ttl)) };
+  });
+  const answers = await Promise.allSettled([query('A'), query('AAAA')]);
+  const addresses = answers.flatMap(answer => (answer.status === 'fulfilled' ? answer.value : []));
+  const failed = answers.find(answer => answer.status === 'rejected');
+  if (addresses.length === 0 && failed) throw failed.reason;
+  return addresses;
+}
+
+function reverseLookup(ip) {
+  return cachedDnsQuery(`PTR:${ip}`, async () => ({ value: await resolver.reverse(ip), ttl: DNS_CACHE_TTL }));
+}
+
+// getIPInfo plus the PTR names of the address when options.ptr is set.
+// Reverse DNS is best effort: a failed query just leaves hostnames out.
+async function getIPInfoWithHostnames(ip, options) {
+  const info = getIPInfo(ip, options);
+  if (options.ptr && !info.error) {
+    try {
+      // info may not carry the address when ?fields= leaves it out
+      info.hostnames = await reverseLookup(parseIP(ip).ip);
+    } catch {
+      // Timeouts and server failures are not cached, so the next request retries
     }
   }
+  return info;
+}
+
+// --- Response Formats ---
+
+const RESPONSE_FORMATS = {
+  json: 'application/json',
+  pretty: 'application/json',
+  csv: 'text/csv',
+  xml: 'application/xml',
+  yaml: 'application/yaml',
+  text: 'text/plain',
+};
+
+// Media types that select a format through the Accept header
+const ACCEPT_FORMATS = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+  'application/yaml': 'yaml',
+  'text/yaml': 'yaml',
+  'text/plain': 'text',
+};
+
+// Picks the response format: ?format= wins, then ?callback= (JSONP), then Accept.
+// Browsers list XML in their default Accept header, so text/html requests stay on the default.
+function resolveFormat(req, defaultFormat = 'json') {
+  const requested = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : '';
+  if (requested) {
+    return RESPONSE_FORMATS[requested] ? requested : null;
+  }
+  if (typeof req.query.callback === 'string') {
+    return 'jsonp';
+  }
+  const accept = req.headers.accept || '';
+  if (!accept || accept.includes('text/html')) {
+    return defaultFormat;
+  }
+  // Wildcards alone keep the default; only an explicitly listed type switches format
+  const best = req.accepts(Object.keys(ACCEPT_FORMATS));
+  return best && accept.includes(best) ? ACCEPT_FORMATS[best] : defaultFormat;
+}
 
-  if (!result.country && !result.isp && !result.error) {
-    return { error: 'IP address not found in databases', ip };
+// Sends data in the negotiated format; `root` names the XML document element
+function sendFormatted(req, res, data, { defaultFormat = 'json', root = 'response' } = {}) {
+  const format = resolveFormat(req, defaultFormat);
+  res.vary('Accept');
+  switch (format) {
+    case 'json':
+      return res.json(data);
+    case 'jsonp':
+      return res.jsonp(data);
+    case 'pretty':
+      return res.type(RESPONSE_FORMATS.pretty).send(`${JSON.stringify(data, null, 2)}\n`);
+    case 'csv':
+      return res.type(RESPONSE_FORMATS.csv).send(toCSV(data));
+    case 'xml':
+      return res.type(RESPONSE_FORMATS.xml).send(toXML(data, root));
+    case 'yaml':
+      return res.type(RESPONSE_FORMATS.yaml).send(toYAML(data));
+    case 'text':
+      return res.type(RESPONSE_FORMATS.text).send(toText(data));
+    default:
+      return sendProblem(req, res, httpProblem(400, 'Unsupported format', { supported: Object.keys(RESPONSE_FORMATS) }));
   }
+}
 
-  result.attribution = 'Contains data from MaxMind GeoLite2, IP2Location LITE, and IP2Proxy LITE.';
-  return result;
+// --- Error Responses ---
+// Errors are RFC 9457 problem details (application/problem+json). Lookup
+// failures come typed from the engine; everything else uses about:blank with
+// the status text as title. `error` repeats the message for clients of the
+// older { error } bodies. Problems are never cacheable, including on the
+// lookup routes that set caching headers before the lookup runs.
+function httpProblem(status, detail, extensions = {}) {
+  return { type: 'about:blank', title: http.STATUS_CODES[status], status, detail, ...extensions, error: detail };
 }
 
-function getClientIP(req) {
-  const cfIP = req.headers['cf-connecting-ip'];
-  const xRealIP = req.headers['x-real-ip'];
-  const xForwardedFor = req.headers['x-forwarded-for'];
-  let clientIP = cfIP || xRealIP || (xForwardedFor ? xForwardedFor.split(',')[0].trim() : '') || req.socket.remoteAddress || '';
-  return clientIP.replace('::ffff:', '').replace('::1', '127.0.0.1');
+function sendProblem(req, res, problem) {
+  res.removeHeader('ETag');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(problem.status).type('application/problem+json').json({ ...problem, instance: redactUrl(req.originalUrl) });
 }
 
 // --- Endpoints ---
 
+// The server listens before the databases are loaded; until the first set is
+// applied, lookups answer 503 rather than reporting every address as unknown
+function requireDatabases(req, res, next) {
+  if (databasesReady) return next();
+  res.setHeader('Retry-After', '5');
+  sendProblem(req, res, httpProblem(503, 'Databases are still loading'));
+}
+
+// Reads the ?explain=, ?ptr= and ?fields= options shared by the lookup
+// endpoints. Returns { error } with a problem when the field list names
+// unknown fields.
+function getLookupOptions(req) {
+  const explain = req.query.explain === 'true';
+  const ptr = req.query.ptr === 'true';
+  const { fields, unknown } = parseFields(req.query.fields);
+  if (unknown.length) {
+    return {
+      error: httpProblem(400, 'Unknown fields', { unknown, profiles: ['full', ...Object.keys(FIELD_PROFILES)], fields: INFO_FIELDS }),
+    };
+  }
+  if (fields && explain) fields.add('explain');
+  if (fields && ptr) fields.add('hostnames');
+  return { explain, ptr, fields };
+}
+
 // Unified handlers for both path styles
-const handleCurrentIP = (req, res) => {
-  const ip = getClientIP(req);
-  if (ip === '127.0.0.1' || ip === '::1') {
-    return res.json({ error: 'Localhost access', ip });
+const handleCurrentIP = async (req, res) => {
+  const options = getLookupOptions(req);
+  if (options.error) {
+    return sendProblem(req, res, options.error);
+  }
+  sendLookupResult(req, res, await getIPInfoWithHostnames(req.clientIp, options));
+};
+
+// Failed lookups go out as problems with their own status (400, 404 or 422)
+function sendLookupResult(req, res, info) {
+  if (info.error) return sendProblem(req, res, info);
+  sendFormatted(req, res, info, { root: 'ipInfo' });
+}
+
+// Answers for a given address only change with the databases, so unlike the
+// global no-store default they may be cached. The ETag covers the database
+// version and the representation (normalized address, field, query string
+// and negotiated format), which lets a conditional request be answered with
+// 304 before any lookup runs. Only successful answers keep these headers (see
+// sendProblem), so a matching ETag always stands for one.
+const IP_CACHE_MAX_AGE = parseInt(process.env.IP_CACHE_MAX_AGE ?? '3600', 10) || 0;
+
+// Sets the caching headers and reports whether the client's copy is current
+function setLookupCacheHeaders(req, res) {
+  const { ip, field = '' } = req.params;
+  const { search } = new URL(req.originalUrl, 'http://localhost');
+  const representation = `${parseIP(ip)?.ip ?? ip}|${field}|${search}|${resolveFormat(req)}`;
+  const hash = crypto.createHash('sha1').update(representation).digest('base64url').slice(0, 16);
+  res.removeHeader('Pragma');
+  res.removeHeader('Expires');
+  res.setHeader('Cache-Control', `${REQUIRE_API_KEY ? 'private' : 'public'}, max-age=${IP_CACHE_MAX_AGE}`);
+  res.setHeader('ETag', `"${databaseVersion}-${hash}"`);
+  res.vary('Accept');
+  // "*" matches any tag, but whether this address has an answer is only
+  // known after the lookup
+  return req.fresh && req.get('If-None-Match')?.trim() !== '*';
+}
+
+const handleSpecificIP = async (req, res) => {
+  const options = getLookupOptions(req);
+  if (options.error) {
+    return sendProblem(req, res, options.error);
+  }
+  // Reverse DNS answers change independently of the databases
+  if (!options.ptr && setLookupCacheHeaders(req, res)) {
+    return res.status(304).end();
+  }
+  sendLookupResult(req, res, await getIPInfoWithHostnames(req.params.ip, options));
+};
+
+// ipinfo.io-style single field: plain text by default, any other format on request
+const handleIPField = async (req, res) => {
+  const { ip, field } = req.params;
+  if (field !== 'hostnames' && setLookupCacheHeaders(req, res)) {
+    return res.status(304).end();
+  }
+  const info = await getIPInfoWithHostnames(ip, { explain: field === 'explain', ptr: field === 'hostnames' });
+  if (info.error) {
+    return sendProblem(req, res, info);
+  }
+  if (!Object.hasOwn(info, field)) {
+    return sendProblem(req, res, httpProblem(404, 'Unknown field', { field }));
+  }
+  const format = resolveFormat(req, 'text');
+  const body = format === 'text' ? info[field] : { [field]: info[field] };
+  sendFormatted(req, res, body, { defaultFormat: 'text', root: 'ipInfo' });
+};
+
+// Looks up a single batch entry, reporting bad input as a per-item error
+function getBatchItemInfo(entry, options) {
+  if (typeof entry !== 'string') {
+    return lookupProblem('invalid', entry ?? null, 'Batch entries must be IP address strings');
+  }
+  return getIPInfo(entry.trim(), options);
+}
+
+const handleBatch = (req, res) => {
+  const options = getLookupOptions(req);
+  if (options.error) {
+    return sendProblem(req, res, options.error);
+  }
+  const ips = Array.isArray(req.body) ? req.body : req.body?.ips;
+  if (!Array.isArray(ips)) {
+    return sendProblem(req, res, httpProblem(400, 'Request body must be an array of IP addresses or { "ips": [...] }'));
   }
-  res.json(getIPInfo(ip));
+  if (ips.length > BATCH_MAX_ITEMS) {
+    return sendProblem(req, res, httpProblem(413, `Batch too large. Maximum is ${BATCH_MAX_ITEMS} addresses per request.`));
+  }
+  const error = chargeRequest(req, res, ips.length);
+  if (error) {
+    return sendProblem(req, res, error);
+  }
+  res.json({ count: ips.length, results: ips.map(entry => getBatchItemInfo(entry, options)) });
 };
 
-const handleSpecificIP = (req, res) => {
-  res.json(getIPInfo(req.params.ip));
+// Splits a stream into lines, yielding null for one longer than maxLength
+async function* readBoundedLines(stream, maxLength) {
+  let line = '';
+  let oversized = false;
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    let start = 0;
+    for (let end = chunk.indexOf('\n'); end !== -1; end = chunk.indexOf('\n', start)) {
+      const tail = chunk.slice(start, end);
+      yield oversized || line.length + tail.length > maxLength ? null : line + tail;
+      line = '';
+      oversized = false;
+      start = end + 1;
+    }
+    if (!oversized) line += chunk.slice(start);
+    if (line.length > maxLength) {
+      oversized = true;
+      line = '';
+    }
+  }
+  if (oversized) yield null;
+  else if (line) yield line;
+}
+
+// Reads one address per line (bare or JSON-encoded) and writes one
+// JSON result per line as soon as it is looked up.
+const handleBatchStream = async (req, res) => {
+  const options = getLookupOptions(req);
+  if (options.error) {
+    return sendProblem(req, res, options.error);
+  }
+  let count = 0;
+
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  try {
+    for await (const rawLine of readBoundedLines(req, BATCH_MAX_LINE_LENGTH)) {
+      const line = rawLine?.trim() ?? null;
+      if (line === '') continue;
+      if (++count > BATCH_MAX_ITEMS) {
+        res.write(JSON.stringify(httpProblem(413, `Batch too large. Maximum is ${BATCH_MAX_ITEMS} addresses per request.`)) + '\n');
+        break;
+      }
+      const error = chargeRequest(req, res);
+      if (error) {
+        res.write(JSON.stringify(error) + '\n');
+        break;
+      }
+      if (line === null) {
+        res.write(JSON.stringify(lookupProblem('invalid', null, `Line is longer than ${BATCH_MAX_LINE_LENGTH} characters`)) + '\n');
+        continue;
+      }
+      let entry = line;
+      if (line.startsWith('"') || line.startsWith('{')) {
+        try {
+          const parsed = JSON.parse(line);
+          entry = typeof parsed === 'object' && parsed !== null ? parsed.ip : parsed;
+        } catch {
+          entry = null;
+        }
+      }
+      res.write(JSON.stringify(getBatchItemInfo(entry, options)) + '\n');
+    }
+  } finally {
+    res.end();
+  }
 };
 
 /**
  * @openapi
  * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *   responses:
+ *     DatabasesLoading:
+ *       description: The databases are still loading; retry after Retry-After seconds
+ *       content:
+ *         application/problem+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Problem'
+ *   parameters:
+ *     Explain:
+ *       in: query
+ *       name: explain
+ *       schema:
+ *         type: boolean
+ *       description: Add per-field provenance (every source's value, the chosen one and conflicts)
+ *     Ptr:
+ *       in: query
+ *       name: ptr
+ *       schema:
+ *         type: boolean
+ *       description: Add reverse DNS names (PTR records) as `hostnames`
+ *     Fields:
+ *       in: query
+ *       name: fields
+ *       schema:
+ *         type: string
+ *       example: countryCode,asn
+ *       description: >
+ *         Comma-separated field names and/or profiles (`geo`, `network`, `security`, `full`).
+ *         All fields are returned when omitted.
+ *     Format:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, pretty, csv, xml, yaml, text]
+ *       description: Response format; overrides the Accept header
+ *     Callback:
+ *       in: query
+ *       name: callback
+ *       schema:
+ *         type: string
+ *       description: Wrap the JSON response in this JavaScript function (JSONP)
  *   schemas:
  *     IPInfo:
  *       type: object
  *       properties:
  *         ip:
  *           type: string
+ *           description: The address in normalized form (RFC 5952 for IPv6; IPv4-mapped addresses as IPv4)
  *         ipType:
  *           type: string
  *         ipv4:
  *           type: string
  *         ipv6:
  *           type: string
+ *         embedded:
+ *           type: object
+ *           description: IPv4 address carried by a 6to4 or Teredo address; the databases are queried with it
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [6to4, teredo]
+ *             ipv4:
+ *               type: string
  *         country:
  *           type: string
  *         countryCode:
@@ -348,6 +1186,9 @@ const handleSpecificIP = (req, res) => {
  *           type: string
  *         city:
  *           type: string
+ *         district:
+ *           type: string
+ *           description: IP2Location DB26
  *         isp:
  *           type: string
  *         organization:
@@ -368,8 +1209,17 @@ const handleSpecificIP = (req, res) => {
  *           type: string
  *         usageType:
  *           type: string
+ *         addressType:
+ *           type: string
+ *           description: IP2Location DB25 and up (U unicast, A anycast, M multicast, B broadcast)
+ *         category:
+ *           type: string
+ *           description: IP2Location DB25 and up (IAB category code)
  *         netspeed:
  *           type: string
+ *         connectionType:
+ *           type: string
+ *           description: MaxMind GeoIP2 Connection Type (Cable/DSL, Cellular, Corporate, Dialup, Satellite)
  *         proxyType:
  *           type: string
  *         threat:
@@ -378,30 +1228,496 @@ const handleSpecificIP = (req, res) => {
  *           type: string
  *         lastSeen:
  *           type: string
+ *         fraudScore:
+ *           type: integer
+ *           description: IP2Proxy PX12 fraud score (0-99)
+ *         anonymous:
+ *           type: object
+ *           description: MaxMind GeoIP2 Anonymous IP flags
+ *           properties:
+ *             isAnonymous:
+ *               type: boolean
+ *             isAnonymousVpn:
+ *               type: boolean
+ *             isHostingProvider:
+ *               type: boolean
+ *             isPublicProxy:
+ *               type: boolean
+ *             isResidentialProxy:
+ *               type: boolean
+ *             isTorExitNode:
+ *               type: boolean
  *         source:
  *           type: string
+ *         specialPurpose:
+ *           type: object
+ *           description: >
+ *             Set for IANA special-purpose ranges (private, CGNAT, documentation, multicast, ...)
+ *             that the overlay has data for; without data these addresses are answered with 422.
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [private, cgnat, loopback, linkLocal, documentation, multicast, broadcast, reserved, unspecified, benchmarking, translation]
+ *             name:
+ *               type: string
+ *             reference:
+ *               type: string
+ *         security:
+ *           $ref: '#/components/schemas/Security'
+ *         hostnames:
+ *           type: array
+ *           description: Reverse DNS names, present with ptr=true
+ *           items:
+ *             type: string
  *         attribution:
  *           type: string
- *     Health:
+ *         explain:
+ *           $ref: '#/components/schemas/Explain'
+ *     Problem:
  *       type: object
+ *       description: >
+ *         RFC 9457 problem details, sent as application/problem+json. Lookup failures
+ *         have their own type; other errors use about:blank with the HTTP status text
+ *         as title. Batch results use the same shape for failed items.
  *       properties:
+ *         type:
+ *           type: string
+ *           enum: [about:blank, /problems/invalid-ip, /problems/ip-not-found, /problems/reserved-ip]
+ *         title:
+ *           type: string
+ *           example: IP address not found in databases
  *         status:
+ *           type: integer
+ *           example: 404
+ *         detail:
  *           type: string
- *         timestamp:
+ *           example: No database has data for 203.0.114.7
+ *         instance:
  *           type: string
- *     Info:
- *       type: object
- *       properties:
- *         version:
+ *           description: The request path (not set on batch items)
+ *         ip:
+ *           type: string
+ *           description: The address, for lookup failures
+ *         specialPurpose:
+ *           type: object
+ *           description: The special-purpose block, for /problems/reserved-ip
+ *         error:
+ *           type: string
+ *           description: The message of the former { error } bodies (title for lookup failures, detail otherwise)
+ *     HostInfo:
+ *       type: object
+ *       properties:
+ *         host:
+ *           type: string
+ *         addresses:
+ *           type: array
+ *           items:
+ *             type: string
+ *         results:
+ *           type: array
+ *           items:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/IPInfo'
+ *               - $ref: '#/components/schemas/Problem'
+ *     Security:
+ *       type: object
+ *       description: Flags derived from IP2Proxy, MaxMind Anonymous IP and Connection Type, the Tor exit list and the datacenter ASN list
+ *       properties:
+ *         isVpn:
+ *           type: boolean
+ *         isTor:
+ *           type: boolean
+ *         isProxy:
+ *           type: boolean
+ *         isHosting:
+ *           type: boolean
+ *         isMobile:
+ *           type: boolean
+ *         riskScore:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [tor, vpn, proxy, hosting, mobile, threat]
+ *     Explain:
+ *       type: object
+ *       properties:
+ *         precedence:
+ *           type: array
+ *           description: SOURCE_PRECEDENCE; fields listed in FIELD_PRECEDENCE report their own order
+ *           items:
+ *             type: string
+ *         fields:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               value: {}
+ *               source:
+ *                 type: string
+ *               precedence:
+ *                 type: array
+ *                 description: Source order applied to this field
+ *                 items:
+ *                   type: string
+ *               values:
+ *                 type: object
+ *                 description: Value reported by each source, keyed by source name
+ *               conflict:
+ *                 type: boolean
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             type: string
+ *     BatchResult:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/IPInfo'
+ *               - $ref: '#/components/schemas/Problem'
+ *     SubRange:
+ *       type: object
+ *       properties:
+ *         start:
+ *           type: string
+ *         end:
+ *           type: string
+ *         cidrs:
+ *           type: array
+ *           items:
+ *             type: string
+ *         addresses:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *         countryCode:
+ *           type: string
+ *         country:
+ *           type: string
+ *         asn:
+ *           type: integer
+ *         isp:
+ *           type: string
+ *         isProxy:
+ *           type: boolean
+ *         proxyType:
+ *           type: string
+ *         usageType:
+ *           type: string
+ *     RangeInfo:
+ *       type: object
+ *       properties:
+ *         cidr:
+ *           type: string
+ *         ipType:
+ *           type: string
+ *         start:
+ *           type: string
+ *         end:
+ *           type: string
+ *         addresses:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *         subRanges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SubRange'
+ *         summary:
+ *           type: object
+ *           properties:
+ *             subRanges:
+ *               type: integer
+ *             matchedAddresses:
+ *               oneOf:
+ *                 - type: integer
+ *                 - type: string
+ *             proxyAddresses:
+ *               oneOf:
+ *                 - type: integer
+ *                 - type: string
+ *             countries:
+ *               type: object
+ *               additionalProperties:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *             asns:
+ *               type: object
+ *               additionalProperties:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *         truncated:
+ *           type: boolean
+ *         nextAddress:
+ *           type: string
+ *     PrefixList:
+ *       type: object
+ *       properties:
+ *         source:
+ *           type: string
+ *           nullable: true
+ *           description: Database the reverse index was built from (null when none is indexed)
+ *         count:
+ *           type: integer
+ *         offset:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         hasMore:
+ *           type: boolean
+ *         nextOffset:
+ *           type: integer
+ *         prefixes:
+ *           type: array
+ *           items:
+ *             type: string
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         keyPrefix:
+ *           type: string
+ *         rateLimit:
+ *           type: integer
+ *         dailyQuota:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *         usage:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             today:
+ *               type: integer
+ *             daily:
+ *               type: object
+ *               additionalProperties:
+ *                 type: integer
+ *             lastUsedAt:
+ *               type: string
+ *     Health:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, ready, starting, unavailable]
+ *         timestamp:
  *           type: string
  *         databases:
  *           type: array
+ *           description: Lookup databases that are loaded (readiness only)
  *           items:
  *             type: string
+ *         errors:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/LoadError'
+ *     LoadError:
+ *       type: object
+ *       properties:
+ *         database:
+ *           type: string
+ *         error:
+ *           type: string
+ *     DatabaseSource:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         path:
+ *           type: string
+ *         present:
+ *           type: boolean
+ *           description: Whether the file exists
+ *         loaded:
+ *           type: boolean
+ *         fileSize:
+ *           type: integer
+ *         modifiedAt:
+ *           type: string
+ *         databaseType:
+ *           type: string
+ *           description: MMDB metadata database type
+ *         buildDate:
+ *           type: string
+ *           description: Build date from the MMDB metadata or the BIN header
+ *         nodeCount:
+ *           type: integer
+ *         format:
+ *           type: string
+ *           enum: [CSV, BIN]
+ *           description: File format of an IP2Location or IP2Proxy source
+ *         edition:
+ *           type: string
+ *           description: Detected IP2Location (DB1-DB26) or IP2Proxy (PX1-PX12) edition of a CSV or BIN file
+ *           example: DB11
+ *         entries:
+ *           type: integer
+ *           description: Ranges (CSV, overlay) or entries (lists)
+ *         ageDays:
+ *           type: number
+ *           description: Days since the build date, or since the file was modified
+ *         stale:
+ *           type: boolean
+ *           description: Lookup database older than DB_MAX_AGE_DAYS
+ *         error:
+ *           type: string
+ *     Info:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: string
+ *         api:
+ *           type: object
+ *           description: >
+ *             API version negotiation. Endpoints are served under `basePath`; send the
+ *             `versionHeader` request header to pin a version (every API response
+ *             echoes the version it was answered with). The bare and `/api/` paths are
+ *             deprecated aliases of the current version and carry `Deprecation`,
+ *             `Link: rel="successor-version"` and, once scheduled, `Sunset` headers.
+ *           properties:
+ *             version:
+ *               type: string
+ *               example: '1'
+ *             supportedVersions:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             basePath:
+ *               type: string
+ *               example: /api/v1
+ *             versionHeader:
+ *               type: string
+ *               example: API-Version
+ *             deprecated:
+ *               type: object
+ *               properties:
+ *                 prefixes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 deprecatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 sunset:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 unversioned:
+ *                   type: array
+ *                   description: Paths served without a version that are not deprecated
+ *                   items:
+ *                     type: string
+ *         ready:
+ *           type: boolean
+ *           description: Whether the initial database load has finished
+ *         databases:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DatabaseSource'
+ *         errors:
+ *           type: array
+ *           description: Errors from the load that produced the active databases
+ *           items:
+ *             $ref: '#/components/schemas/LoadError'
  *         supportedTypes:
  *           type: array
  *           items:
  *             type: string
+ *         startupTimeMs:
+ *           type: integer
+ *           description: Time taken to load all databases at startup
+ *         indexes:
+ *           type: object
+ *           description: Per IP2Location/IP2Proxy source, keyed by database name (null when not loaded)
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/IndexStats'
+ *         memory:
+ *           type: object
+ *           description: Process memory usage in bytes
+ *           properties:
+ *             rss:
+ *               type: integer
+ *             heapUsed:
+ *               type: integer
+ *             external:
+ *               type: integer
+ *             arrayBuffers:
+ *               type: integer
+ *         lastReload:
+ *           $ref: '#/components/schemas/ReloadResult'
+ *         cache:
+ *           type: object
+ *           description: Lookup result cache (LRU)
+ *           properties:
+ *             size:
+ *               type: integer
+ *             maxSize:
+ *               type: integer
+ *             hits:
+ *               type: integer
+ *             misses:
+ *               type: integer
+ *             evictions:
+ *               type: integer
+ *             hitRate:
+ *               type: number
+ *               nullable: true
+ *     ReloadResult:
+ *       type: object
+ *       properties:
+ *         at:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         durationMs:
+ *           type: integer
+ *         applied:
+ *           type: boolean
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               database:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *     IndexStats:
+ *       type: object
+ *       properties:
+ *         entries:
+ *           type: integer
+ *         format:
+ *           type: string
+ *           enum: [CSV, BIN]
+ *         fromCache:
+ *           type: boolean
+ *           description: CSV index read from its .idx cache
+ *         malformedRows:
+ *           type: integer
+ *           description: CSV rows skipped because they did not match the expected schema
+ *         loadTimeMs:
+ *           type: integer
+ *         bytes:
+ *           type: integer
+ *           description: Memory held by the CSV index, or by the BIN file's index and page cache
  */
 
 /**
@@ -410,6 +1726,12 @@ const handleSpecificIP = (req, res) => {
  *   get:
  *     summary: Get information about your own IP address
  *     tags: [IP Lookup]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Explain'
+ *       - $ref: '#/components/parameters/Ptr'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Format'
+ *       - $ref: '#/components/parameters/Callback'
  *     responses:
  *       200:
  *         description: Success
@@ -417,14 +1739,146 @@ const handleSpecificIP = (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/IPInfo'
+ *           application/xml:
+ *             schema:
+ *               $ref: '#/components/schemas/IPInfo'
+ *           application/yaml:
+ *             schema:
+ *               $ref: '#/components/schemas/IPInfo'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           text/javascript:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format or unknown fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: No database has data for the address
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       422:
+ *         description: The address is in a special-purpose block (e.g. private or loopback) with no overlay data
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       503:
+ *         $ref: '#/components/responses/DatabasesLoading'
+ */
+api.get('/ip', requireDatabases, handleCurrentIP);
+
+/**
+ * @openapi
+ * /ip/batch:
+ *   post:
+ *     summary: Look up many IP addresses in one request
+ *     description: Each address counts as one request against the rate limit.
+ *     tags: [IP Lookup]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fields'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: array
+ *                 items:
+ *                   type: string
+ *               - type: object
+ *                 properties:
+ *                   ips:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: One result per address, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResult'
+ *       400:
+ *         description: Malformed request body or unknown fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       413:
+ *         description: Too many addresses or body too large
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         description: Rate limit exceeded
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       503:
+ *         $ref: '#/components/responses/DatabasesLoading'
+ */
+api.post(BATCH_PATH, requireDatabases, express.json({ limit: BATCH_BODY_LIMIT }), handleBatch);
+
+/**
+ * @openapi
+ * /ip/batch/stream:
+ *   post:
+ *     summary: Streaming bulk lookup (NDJSON)
+ *     description: >
+ *       Accepts one IP address per line (bare or as a JSON string / `{"ip": ...}` object)
+ *       and streams one JSON result per line. Lines longer than 1024 characters get
+ *       an error line. Stops with an error line once the rate limit or batch size
+ *       limit is reached.
+ *     tags: [IP Lookup]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fields'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Newline-delimited IPInfo objects
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               $ref: '#/components/schemas/IPInfo'
+ *       400:
+ *         description: Unknown fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       503:
+ *         $ref: '#/components/responses/DatabasesLoading'
  */
-app.get('/ip', handleCurrentIP);
+api.post(`${BATCH_PATH}/stream`, requireDatabases, handleBatchStream);
 
 /**
  * @openapi
  * /ip/{ip}:
  *   get:
  *     summary: Get information about a specific IP address
+ *     description: >
+ *       Cacheable for IP_CACHE_MAX_AGE seconds; the ETag changes when the databases
+ *       are reloaded. Not cached with ptr=true.
  *     tags: [IP Lookup]
  *     parameters:
  *       - in: path
@@ -433,6 +1887,11 @@ app.get('/ip', handleCurrentIP);
  *         schema:
  *           type: string
  *         description: The IP address to lookup
+ *       - $ref: '#/components/parameters/Explain'
+ *       - $ref: '#/components/parameters/Ptr'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Format'
+ *       - $ref: '#/components/parameters/Callback'
  *     responses:
  *       200:
  *         description: Success
@@ -440,24 +1899,735 @@ app.get('/ip', handleCurrentIP);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/IPInfo'
+ *           application/xml:
+ *             schema:
+ *               $ref: '#/components/schemas/IPInfo'
+ *           application/yaml:
+ *             schema:
+ *               $ref: '#/components/schemas/IPInfo'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           text/javascript:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Not modified (If-None-Match matched the ETag)
+ *       400:
+ *         description: Invalid IP address, unsupported format or unknown fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: No database has data for the address
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       422:
+ *         description: The address is in a special-purpose block (e.g. private or loopback) with no overlay data
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       503:
+ *         $ref: '#/components/responses/DatabasesLoading'
  */
-app.get('/ip/:ip', handleSpecificIP);
+api.get('/ip/:ip', requireDatabases, handleSpecificIP);
 
 /**
  * @openapi
- * /health:
+ * /ip/{ip}/{field}:
  *   get:
- *     summary: Health check endpoint
+ *     summary: Get a single field for an IP address
+ *     description: >
+ *       Returns the bare value as plain text (e.g. `/ip/8.8.8.8/countryCode` → `US`).
+ *       Other formats wrap it as `{field: value}`.
+ *     tags: [IP Lookup]
+ *     parameters:
+ *       - in: path
+ *         name: ip
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: field
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Any IPInfo property, e.g. countryCode, isp, asn
+ *       - $ref: '#/components/parameters/Format'
+ *       - $ref: '#/components/parameters/Callback'
+ *     responses:
+ *       200:
+ *         description: The field value
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       304:
+ *         description: Not modified (If-None-Match matched the ETag)
+ *       400:
+ *         description: Invalid IP address
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: No database has data for the address, or the result has no such field
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       422:
+ *         description: The address is in a special-purpose block with no overlay data
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       503:
+ *         $ref: '#/components/responses/DatabasesLoading'
+ */
+api.get('/ip/:ip/:field', requireDatabases, handleIPField);
+
+const handleHost = async (req, res) => {
+  const options = getLookupOptions(req);
+  if (options.error) {
+    return sendProblem(req, res, options.error);
+  }
+  const host = req.params.name.toLowerCase().replace(/\.$/, '');
+  let addresses;
+  if (parseIP(host)) {
+    addresses = [host];
+  } else if (!HOSTNAME_PATTERN.test(host)) {
+    return sendProblem(req, res, httpProblem(400, 'Invalid hostname', { host }));
+  } else {
+    try {
+      addresses = await resolveHost(host);
+    } catch (error) {
+      return sendProblem(req, res, httpProblem(502, 'DNS lookup failed', { host, code: error.code }));
+    }
+  }
+  if (addresses.length === 0) {
+    return sendProblem(req, res, httpProblem(404, 'Hostname has no A or AAAA records', { host }));
+  }
+  const results = await Promise.all(addresses.map(ip => getIPInfoWithHostnames(ip, options)));
+  sendFormatted(req, res, { host, addresses, results }, { root: 'hostInfo' });
+};
+
+/**
+ * @openapi
+ * /host/{name}:
+ *   get:
+ *     summary: Resolve a hostname and look up every address
+ *     description: >
+ *       Resolves A and AAAA records (through DNS_SERVERS when set) and returns
+ *       one IPInfo per address. An IP literal is looked up directly.
+ *     tags: [IP Lookup]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: google.com
+ *       - $ref: '#/components/parameters/Ptr'
+ *       - $ref: '#/components/parameters/Explain'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Format'
+ *       - $ref: '#/components/parameters/Callback'
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HostInfo'
+ *       400:
+ *         description: Invalid hostname, unsupported format or unknown fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: The hostname has no A or AAAA records
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       502:
+ *         description: DNS lookup failed or timed out
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       503:
+ *         $ref: '#/components/responses/DatabasesLoading'
+ */
+api.get('/host/:name', requireDatabases, handleHost);
+
+// Admin endpoints are disabled unless ADMIN_TOKEN is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendProblem(req, res, httpProblem(404, 'Admin API is disabled'));
+  }
+  const header = req.headers.authorization || '';
+  const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return sendProblem(req, res, httpProblem(401, 'Invalid admin token'));
+  }
+  next();
+}
+
+/**
+ * @openapi
+ * /admin/reload:
+ *   post:
+ *     summary: Reload all databases from data/ without restarting
+ *     description: >
+ *       Loads the current MMDB/CSV files in the background and swaps them in only if
+ *       every file loads cleanly. On failure the previously loaded data keeps serving.
+ *       Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Databases reloaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReloadResult'
+ *       401:
+ *         description: Missing or invalid admin token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       500:
+ *         description: Reload failed; previous databases kept
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReloadResult'
+ */
+api.post('/admin/reload', requireAdmin, async (req, res) => {
+  const result = await reloadDatabases('admin request');
+  res.status(result.applied ? 200 : 500).json(result);
+});
+
+// A positive integer from a JSON body; null when absent, NaN when invalid
+function parseOptionalLimit(value) {
+  if (value === undefined || value === null) return null;
+  return Number.isInteger(value) && value > 0 ? value : NaN;
+}
+
+/**
+ * @openapi
+ * /admin/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The plain key is only returned once, in this response.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               rateLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per minute (defaults to the anonymous limit when omitted or null)
+ *               dailyQuota:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per UTC day (unlimited when omitted or null)
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *       400:
+ *         description: Invalid limits
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *   get:
+ *     summary: List API keys with their usage
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All keys, including revoked ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ */
+api.post('/admin/keys', requireAdmin, (req, res) => {
+  const { name = null, rateLimit: keyRateLimit, dailyQuota } = req.body || {};
+  // Only the daily quota can be unlimited; a missing or null rate limit is the anonymous one
+  const limit = parseOptionalLimit(keyRateLimit) ?? RATE_LIMIT_MAX;
+  const quota = parseOptionalLimit(dailyQuota);
+  if (Number.isNaN(limit) || Number.isNaN(quota)) {
+    return sendProblem(req, res, httpProblem(400, 'rateLimit and dailyQuota must be positive integers'));
+  }
+  const { key, record } = createApiKey({ name: name === null ? null : String(name), rateLimit: limit, dailyQuota: quota });
+  res.status(201).json({ ...describeApiKey(record), key });
+});
+
+api.get('/admin/keys', requireAdmin, (req, res) => {
+  res.json({ keys: [...apiKeys.values()].map(describeApiKey) });
+});
+
+/**
+ * @openapi
+ * /admin/keys/{id}:
+ *   get:
+ *     summary: Inspect an API key and its usage
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: Unknown key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: Unknown key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+api.get('/admin/keys/:id', requireAdmin, (req, res) => {
+  const record = apiKeys.get(req.params.id);
+  if (!record) return sendProblem(req, res, httpProblem(404, 'API key not found'));
+  res.json(describeApiKey(record));
+});
+
+api.delete('/admin/keys/:id', requireAdmin, (req, res) => {
+  const record = apiKeys.get(req.params.id);
+  if (!record) return sendProblem(req, res, httpProblem(404, 'API key not found'));
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    apiKeysDirty = true;
+    saveApiKeys();
+  }
+  res.json(describeApiKey(record));
+});
+
+// ?limit= of the paged endpoints: `defaultLimit` when absent, capped at `max`,
+// NaN when it is not a positive integer.
+function parsePageLimit(value, defaultLimit, max) {
+  if (value === undefined || value === '') return defaultLimit;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, max) : NaN;
+}
+
+const RANGE_DEFAULT_LIMIT = 100;
+const RANGE_MAX_LIMIT = parseInt(process.env.RANGE_MAX_RESULTS, 10) || 1000;
+
+const handleRange = (req, res) => {
+  const range = parseCIDR(req.params.cidr.join('/'));
+  if (!range) {
+    return sendProblem(req, res, httpProblem(400, 'Invalid CIDR. Use a form like 1.2.3.0/24 or 2001:db8::/32'));
+  }
+  const limit = parsePageLimit(req.query.limit, RANGE_DEFAULT_LIMIT, RANGE_MAX_LIMIT);
+  if (Number.isNaN(limit)) return sendProblem(req, res, httpProblem(400, 'limit must be a positive integer'));
+  let from;
+  if (req.query.from) {
+    const fromRange = parseCIDR(String(req.query.from));
+    if (!fromRange || fromRange.version !== range.version || fromRange.start < range.start || fromRange.start > range.end) {
+      return sendProblem(req, res, httpProblem(400, 'from must be an address inside the queried range'));
+    }
+    from = fromRange.start;
+  }
+  res.json(getRangeInfo(range, { limit, from }));
+};
+
+/**
+ * @openapi
+ * /range/{cidr}:
+ *   get:
+ *     summary: Describe every sub-range inside a CIDR prefix
+ *     description: >
+ *       Walks the MaxMind trees and the sorted IP2Location/IP2Proxy ranges covering the
+ *       prefix and returns each sub-range with its country, ASN, ISP and proxy flags,
+ *       plus aggregate counts. Address counts too large for a JSON number are strings.
+ *       Long results are paged: pass `nextAddress` back as `from` to continue.
+ *     tags: [IP Lookup]
+ *     parameters:
+ *       - in: path
+ *         name: cidr
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prefix such as 5.0.0.0/16 or 2a01:4f8::/32 (a bare address means a single host)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 100
+ *         description: Maximum number of sub-ranges to return
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Resume the walk at this address (the previous page's nextAddress)
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RangeInfo'
+ *       400:
+ *         description: Invalid CIDR, limit or from address
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       503:
+ *         $ref: '#/components/responses/DatabasesLoading'
+ */
+api.get('/range/*cidr', requireDatabases, handleRange);
+
+const PREFIX_DEFAULT_LIMIT = 1000;
+const PREFIX_MAX_LIMIT = parseInt(process.env.PREFIX_MAX_RESULTS, 10) || 100000;
+
+// Shared by the reverse lookup endpoints: pagination, family filter and
+// plain-text output (one CIDR per line, for ipset/nftables).
+function sendPrefixes(req, res, meta, entries) {
+  if (!reverseIndexes) {
+    return sendProblem(req, res, httpProblem(503, 'Reverse indexes are not available'));
+  }
+  const version = req.query.version ? Number(req.query.version) : null;
+  if (version !== null && version !== 4 && version !== 6) {
+    return sendProblem(req, res, httpProblem(400, 'version must be 4 or 6'));
+  }
+  const limit = parsePageLimit(req.query.limit, PREFIX_DEFAULT_LIMIT, PREFIX_MAX_LIMIT);
+  if (Number.isNaN(limit)) return sendProblem(req, res, httpProblem(400, 'limit must be a positive integer'));
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const { prefixes, hasMore } = getPrefixPage(entries, { version, offset, limit });
+
+  if (req.query.format === 'text') {
+    res.type('text/plain');
+    if (hasMore) res.setHeader('X-Next-Offset', String(offset + prefixes.length));
+    return res.send(prefixes.length ? `${prefixes.join('\n')}\n` : '');
+  }
+  res.json({
+    ...meta,
+    count: prefixes.length,
+    offset,
+    limit,
+    hasMore,
+    nextOffset: hasMore ? offset + prefixes.length : null,
+    prefixes,
+  });
+}
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     PrefixVersion:
+ *       in: query
+ *       name: version
+ *       schema:
+ *         type: integer
+ *         enum: [4, 6]
+ *       description: Only return IPv4 or IPv6 prefixes
+ *     PrefixLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1000
+ *     PrefixOffset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         default: 0
+ *     PrefixFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, text]
+ *       description: "`text` returns one CIDR per line, ready for ipset/nftables"
+ */
+
+/**
+ * @openapi
+ * /asn/{asn}/prefixes:
+ *   get:
+ *     summary: List all prefixes of an autonomous system
+ *     tags: [Reverse Lookup]
+ *     parameters:
+ *       - in: path
+ *         name: asn
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: AS number, with or without the AS prefix (12880 or AS12880)
+ *       - $ref: '#/components/parameters/PrefixVersion'
+ *       - $ref: '#/components/parameters/PrefixLimit'
+ *       - $ref: '#/components/parameters/PrefixOffset'
+ *       - $ref: '#/components/parameters/PrefixFormat'
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrefixList'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid AS number, version or limit
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+api.get('/asn/:asn/prefixes', (req, res) => {
+  const match = /^(?:AS)?(\d+)$/i.exec(req.params.asn);
+  if (!match) return sendProblem(req, res, httpProblem(400, 'Invalid AS number'));
+  const asn = Number(match[1]);
+  sendPrefixes(req, res, { asn, source: reverseIndexes?.asn.source },
+    reverseIndexes?.asn.postings.get(asn) || []);
+});
+
+/**
+ * @openapi
+ * /country/{code}/prefixes:
+ *   get:
+ *     summary: List all prefixes registered to a country
+ *     tags: [Reverse Lookup]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ISO 3166-1 alpha-2 country code, e.g. IR
+ *       - $ref: '#/components/parameters/PrefixVersion'
+ *       - $ref: '#/components/parameters/PrefixLimit'
+ *       - $ref: '#/components/parameters/PrefixOffset'
+ *       - $ref: '#/components/parameters/PrefixFormat'
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrefixList'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid country code, version or limit
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+api.get('/country/:code/prefixes', (req, res) => {
+  const countryCode = req.params.code.toUpperCase();
+  if (!/^[A-Z]{2}$/.test(countryCode)) return sendProblem(req, res, httpProblem(400, 'Invalid country code'));
+  sendPrefixes(req, res, { countryCode, source: reverseIndexes?.country.source },
+    reverseIndexes?.country.postings.get(countryCode) || []);
+});
+
+/**
+ * @openapi
+ * /proxy/ranges:
+ *   get:
+ *     summary: List IP2Proxy ranges by proxy type and/or country
+ *     tags: [Reverse Lookup]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: IP2Proxy proxy type (VPN, TOR, DCH, PUB, WEB, SES, RES, CPN, EPN)
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: ISO 3166-1 alpha-2 country code
+ *       - $ref: '#/components/parameters/PrefixVersion'
+ *       - $ref: '#/components/parameters/PrefixLimit'
+ *       - $ref: '#/components/parameters/PrefixOffset'
+ *       - $ref: '#/components/parameters/PrefixFormat'
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrefixList'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid version or limit
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+api.get('/proxy/ranges', (req, res) => {
+  const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+  const country = req.query.country ? String(req.query.country).toUpperCase() : null;
+  const entries = [];
+  for (const [key, postings] of reverseIndexes?.proxy.postings || []) {
+    const [keyType, keyCountry] = key.split('|');
+    if ((!type || keyType === type) && (!country || keyCountry === country)) entries.push(...postings);
+  }
+  sendPrefixes(req, res, { type, country, source: reverseIndexes?.proxy.source }, entries);
+});
+
+/**
+ * @openapi
+ * /health/live:
+ *   get:
+ *     summary: Liveness check
+ *     description: Succeeds as long as the process is serving requests, including while databases load. `/health` is an alias.
  *     tags: [Utility]
  *     responses:
  *       200:
- *         description: Server is healthy
+ *         description: Server is alive
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Health'
  */
-app.get('/health', (req, res) => res.json({ status: 'ok', timestamp: new Date().toISOString() }));
+const handleLiveness = (req, res) => res.json({ status: 'ok', timestamp: new Date().toISOString() });
+api.get('/health', handleLiveness);
+api.get('/health/live', handleLiveness);
+
+/**
+ * @openapi
+ * /health/ready:
+ *   get:
+ *     summary: Readiness check
+ *     description: Fails until the initial database load has finished, and while no lookup database is loaded.
+ *     tags: [Utility]
+ *     responses:
+ *       200:
+ *         description: Ready to answer lookups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ *       503:
+ *         description: Still loading, or no lookup database loaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+api.get('/health/ready', (req, res) => {
+  const timestamp = new Date().toISOString();
+  if (!databasesReady) {
+    return res.status(503).json({ status: 'starting', timestamp });
+  }
+  const loaded = databaseSources.filter(source => source.loaded && LOOKUP_SOURCES.includes(source.name)).map(source => source.name);
+  if (loaded.length === 0) {
+    return res.status(503).json({ status: 'unavailable', timestamp, databases: loaded, errors: databaseErrors });
+  }
+  res.json({ status: 'ready', timestamp, databases: loaded });
+});
+
+/**
+ * @openapi
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: >
+ *       Request counts and latency by route, IP lookup latency, rate-limit
+ *       rejections, lookup cache hits, database entry counts and load times,
+ *       and process memory, in the Prometheus text format.
+ *     tags: [Utility]
+ *     responses:
+ *       200:
+ *         description: Metrics in text exposition format 0.0.4
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+api.get('/metrics', (req, res) => {
+  const lines = metrics.flatMap(metric => metric.collect());
+  res.type('text/plain; version=0.0.4').send(`${lines.join('\n')}\n`);
+});
 
 /**
  * @openapi
@@ -473,20 +2643,79 @@ app.get('/health', (req, res) => res.json({ status: 'ok', timestamp: new Date().
  *             schema:
  *               $ref: '#/components/schemas/Info'
  */
-app.get('/info', (req, res) => res.json({
-  version: '3.0.0-merged',
-  databases: ['MaxMind', 'IP2Location', 'IP2Proxy'],
-  supportedTypes: ['IPv4', 'IPv6']
-}));
+function describeIndex(db) {
+  return db ? { entries: db.length, ...db.stats } : null;
+}
+
+api.get('/info', (req, res) => {
+  const { rss, heapUsed, external, arrayBuffers } = process.memoryUsage();
+  res.json({
+    version: '3.0.0-merged',
+    api: {
+      version: API_VERSION,
+      supportedVersions: SUPPORTED_API_VERSIONS,
+      basePath: API_PREFIX,
+      versionHeader: 'API-Version',
+      deprecated: {
+        prefixes: ['/', '/api'],
+        deprecatedAt: new Date(LEGACY_DEPRECATED_AT).toISOString(),
+        sunset: LEGACY_SUNSET && !isNaN(LEGACY_SUNSET) ? LEGACY_SUNSET.toISOString() : null,
+        unversioned: UNVERSIONED_PATHS,
+      },
+    },
+    ready: databasesReady,
+    databases: databaseSources.map(source => ({ ...source, ageDays: ageInDays(source.buildDate || source.modifiedAt), stale: isStale(source) })),
+    errors: databaseErrors,
+    supportedTypes: ['IPv4', 'IPv6'],
+    startupTimeMs,
+    lastReload,
+    indexes: {
+      ip2proxy: describeIndex(ipProxyDatabase),
+      ip2proxyIPv6: describeIndex(ipProxyV6Database),
+      ip2location: describeIndex(ipLocationDatabase),
+      ip2locationIPv6: describeIndex(ipLocationV6Database),
+    },
+    memory: { rss, heapUsed, external, arrayBuffers },
+    cache: lookupCache.describe(),
+  });
+});
+
+app.use(API_PREFIX, api);
+app.use('/api', api);
+app.use(api);
+
+// Unmatched routes, and errors raised by middleware such as the JSON body parser
+app.use((req, res) => sendProblem(req, res, httpProblem(404, `No endpoint for ${req.method} ${req.path}`)));
+
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = error.status >= 400 && error.status < 600 ? error.status : 500;
+  if (status >= 500) console.error('❌ Request failed:', error);
+  sendProblem(req, res, httpProblem(status, status < 500 ? error.message : 'Internal server error'));
+});
 
 // --- Start Server ---
 async function start() {
-  await initDatabases();
+  loadApiKeys();
+  setInterval(saveApiKeys, USAGE_FLUSH_INTERVAL).unref();
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      saveApiKeys();
+      process.exit(0);
+    });
+  }
+  // Listen before loading so liveness answers while /health/ready reports the load
   app.listen(PORT, () => {
     console.log(`\n🚀 Merged API Server running on http://localhost:${PORT}`);
-    console.log(`📡 Endpoints: /ip, /ip/:ip, /health, /info`);
+    console.log(`📡 Endpoints (under /api/v1): /ip, /ip/:ip, /ip/:ip/:field, /host/:name, /ip/batch, /ip/batch/stream, /range/:cidr, /asn/:asn/prefixes, /country/:code/prefixes, /proxy/ranges, /health/live, /health/ready, /metrics, /info, /admin/reload, /admin/keys`);
     console.log(`📚 Swagger UI: http://localhost:${PORT}/docs`);
   });
+  await initDatabases();
+  setInterval(warnStaleDatabases, STALE_CHECK_INTERVAL).unref();
+  if (WATCH_DATA) watchDataDir();
 }
 
-start();
+start().catch((error) => {
+  console.error('❌ Failed to start server:', error);
+  process.exit(1);
+});
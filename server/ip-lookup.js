@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// ip-lookup: looks addresses up in the databases under data/ without running
+// the HTTP server, using the same engine (server/lookup.js).
+//
+//   ip-lookup 8.8.8.8 2606:4700::1111
+//   tail -n 1000 access.log | ip-lookup --format ndjson
+//   ip-lookup --file access.log --unique --format csv --fields geo,asn
+import fs from 'fs';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { loadDatabases, applyDatabases, buildIPInfo, parseFields, parseIP, selectFields } from './lookup.js';
+import { flattenObject, scalarToText, csvField } from './formats.js';
+
+const USAGE = `Usage: ip-lookup [options] [ip ...]
+
+Looks up the given addresses, or every address found in --file or on stdin.
+
+Options:
+  -f, --file <path>     read addresses from a log file ("-" for stdin; repeatable)
+  -o, --format <name>   json (default), ndjson, csv or table
+      --fields <list>   fields or profiles to keep, as in ?fields= (e.g. geo,asn)
+      --explain         include where each field came from
+  -u, --unique          look each address up once, in order of first appearance
+  -h, --help            show this help
+`;
+
+const OUTPUT_FORMATS = ['json', 'ndjson', 'csv', 'table'];
+
+// Columns shown by --format table unless --fields picks others
+const TABLE_COLUMNS = ['ip', 'countryCode', 'city', 'asn', 'isp', 'usageType', 'security.riskScore', 'error'];
+
+// Repeated addresses are answered from memory; cleared when it grows past this
+const MEMO_MAX = 100000;
+
+// Log lines are split on characters that cannot appear in an address, so
+// "[2001:db8::1]:443", "1.2.3.4:8080" and "ip=1.2.3.4," all yield the address
+// while timestamps and MAC addresses do not.
+function extractIPs(line) {
+  const found = [];
+  for (const token of line.split(/[^0-9A-Fa-f.:]+/)) {
+    if (!token) continue;
+    const candidate = [token, token.replace(/[.:]+$/, ''), token.replace(/:\d+$/, '')].find(value => parseIP(value));
+    if (candidate) found.push(candidate);
+  }
+  return found;
+}
+
+async function* readAddresses(files) {
+  for (const file of files) {
+    const input = file === '-' ? process.stdin : fs.createReadStream(file);
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      yield* extractIPs(line);
+    }
+  }
+}
+
+function lookup(ip, { explain, fields }) {
+  const info = buildIPInfo(ip, { explain });
+  return fields ? selectFields(info, fields) : info;
+}
+
+// Columns in first-seen order across all rows, with `error` last
+function columnsOf(rows) {
+  const columns = new Set();
+  for (const row of rows) Object.keys(row).forEach(column => columns.add(column));
+  columns.delete('error');
+  return rows.some(row => 'error' in row) ? [...columns, 'error'] : [...columns];
+}
+
+function toCSVRows(results) {
+  const rows = results.map(result => flattenObject(result));
+  const columns = columnsOf(rows);
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return lines.map(line => `${line.map(csvField).join(',')}\r\n`).join('');
+}
+
+function toTable(results, { fields }) {
+  const rows = results.map(result => flattenObject(result));
+  const present = columnsOf(rows);
+  const columns = fields ? present : TABLE_COLUMNS.filter(column => present.includes(column));
+  const cells = [columns, ...rows.map(row => columns.map(column => scalarToText(row[column])))];
+  const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+  return cells.map(line => `${line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()}\n`).join('');
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f', multiple: true, default: [] },
+        format: { type: 'string', short: 'o', default: 'json' },
+        fields: { type: 'string' },
+        explain: { type: 'boolean', default: false },
+        unique: { type: 'boolean', short: 'u', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  const format = values.format.toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    process.stderr.write(`Unsupported format "${values.format}". Supported: ${OUTPUT_FORMATS.join(', ')}\n`);
+    return 2;
+  }
+  const { fields, unknown } = parseFields(values.fields);
+  if (unknown.length > 0) {
+    process.stderr.write(`Unknown field(s): ${unknown.join(', ')}\n`);
+    return 2;
+  }
+  const files = values.file.length > 0 || positionals.length > 0 ? values.file : ['-'];
+  if (files.includes('-') && process.stdin.isTTY) {
+    process.stderr.write(USAGE);
+    return 2;
+  }
+
+  // Engine progress goes to stderr so stdout carries only results
+  const logger = new console.Console(process.stderr);
+  const { databases } = await loadDatabases({ reverse: false, logger });
+  applyDatabases(databases);
+
+  const options = { explain: values.explain, fields };
+  const memo = new Map();
+  const seen = new Set();
+  const results = [];
+  const addresses = async function* () {
+    yield* positionals;
+    yield* readAddresses(files);
+  };
+  for await (const ip of addresses()) {
+    if (values.unique) {
+      if (seen.has(ip)) continue;
+      seen.add(ip);
+    }
+    let result = memo.get(ip);
+    if (!result) {
+      if (memo.size >= MEMO_MAX) memo.clear();
+      result = lookup(ip, options);
+      memo.set(ip, result);
+    }
+    if (format === 'ndjson') process.stdout.write(`${JSON.stringify(result)}\n`);
+    else results.push(result);
+  }
+
+  if (format === 'json') process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+  if (format === 'csv') process.stdout.write(toCSVRows(results));
+  if (format === 'table') process.stdout.write(toTable(results, options));
+  return 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,213 @@
+// Reader for IP2Location and IP2Proxy BIN files. Rows are read from disk on
+// demand through a small page cache, so a BIN file costs a few MB of memory
+// however large it is. A reader exposes the same rows as the in-memory CSV
+// index (see lookup.js): `length` ranges of `words` 32-bit words each.
+//
+// Layout: a 64-byte header, then per address family a table of fixed-size
+// rows sorted by ip_from (a row ends where the next one starts; one more
+// row after the last marks the end) and an optional index of the row span
+// for each leading 16 bits of the address.
+// Row columns hold a 32-bit pointer to a length-prefixed string, except
+// latitude and longitude, which are 32-bit floats. The country column points
+// at the code, with the name 3 bytes further on. Header addresses are 1-based,
+// string pointers are file offsets. All numbers are little-endian.
+// The tables cover the whole address space; rows without a country fill the
+// gaps and read as holes (null), like addresses missing from a CSV.
+import fs from 'fs';
+import path from 'path';
+
+const HEADER_SIZE = 64;
+const PAGE_SIZE = 64 * 1024;
+const MAX_PAGES = 64;
+const MAX_CACHED_STRINGS = 100000;
+const INDEX_ENTRIES = 65536;
+
+const PRODUCT_CODES = { 1: 'IP2Location', 2: 'IP2Proxy' };
+const FLOAT_COLUMNS = ['latitude', 'longitude'];
+
+function parseHeader(header, file) {
+  if (header.toString('latin1', 0, 2) === 'PK') throw new Error(`${file} is a zip archive; extract the BIN file from it first`);
+  const section = (count, base, indexBase) => ({
+    count: header.readUInt32LE(count),
+    base: header.readUInt32LE(base),
+    indexBase: header.readUInt32LE(indexBase),
+  });
+  const parsed = {
+    type: header[0],
+    columns: header[1],
+    date: new Date(Date.UTC(2000 + header[2], header[3] - 1, header[4])),
+    ipv4: section(5, 9, 21),
+    ipv6: section(13, 17, 25),
+    // Files from before 2021 leave the product code at 0
+    product: PRODUCT_CODES[header[29]] ?? null,
+  };
+  if (parsed.type === 0 || parsed.columns === 0 || header[3] < 1 || header[3] > 12) {
+    throw new Error(`${file} does not look like an IP2Location BIN file`);
+  }
+  return parsed;
+}
+
+function readHeader(fd, file) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  if (fs.readSync(fd, header, 0, HEADER_SIZE, 0) < HEADER_SIZE) throw new Error(`${file} is too short to be a BIN file`);
+  return parseHeader(header, file);
+}
+
+// The header of a BIN file: { type, columns, date, ipv4, ipv6, product }, where
+// `type` is the edition number (11 for DB11) and `product` null for old files
+function readBinHeader(dbPath) {
+  const fd = fs.openSync(dbPath, 'r');
+  try {
+    return readHeader(fd, path.basename(dbPath));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Opens the IPv4 or IPv6 table of a BIN file whose rows hold `columns` (the
+// CSV column names of its edition); newer files may append columns, which
+// are ignored. Call close() once it is no longer used.
+function openBinDatabase(dbPath, columns, { ipv6 = false } = {}) {
+  const file = path.basename(dbPath);
+  const fd = fs.openSync(dbPath, 'r');
+  try {
+    const header = readHeader(fd, file);
+    const slots = columns.filter(name => name !== 'countryName').length;
+    if (header.columns < slots + 1) {
+      throw new Error(`${file} has ${header.columns} columns per row, expected ${slots + 1}`);
+    }
+    const section = ipv6 ? header.ipv6 : header.ipv4;
+    if (section.count === 0 || section.base === 0) throw new Error(`${file} has no ${ipv6 ? 'IPv6' : 'IPv4'} ranges`);
+
+    const words = ipv6 ? 4 : 1;
+    const addressBytes = words * 4;
+    const rowSize = addressBytes + (header.columns - 1) * 4;
+    const { size } = fs.fstatSync(fd);
+    if (section.base - 1 + section.count * rowSize + addressBytes > size) throw new Error(`${file} is truncated`);
+
+    // Column offsets within a row, after ip_from
+    let slot = 0;
+    const fields = columns.map(name => {
+      if (name === 'countryName') return { name, offset: (slot - 1) * 4, skip: 3 };
+      return { name, offset: slot++ * 4, float: FLOAT_COLUMNS.includes(name), skip: 0 };
+    });
+
+    let index = null;
+    if (section.indexBase > 0) {
+      const buffer = Buffer.alloc(INDEX_ENTRIES * 8);
+      fs.readSync(fd, buffer, 0, buffer.length, section.indexBase - 1);
+      index = new Uint32Array(INDEX_ENTRIES * 2);
+      for (let i = 0; i < index.length; i++) index[i] = buffer.readUInt32LE(i * 4);
+    }
+
+    // Least recently used pages are dropped first
+    const pages = new Map();
+    let open = true;
+    const page = (n) => {
+      let buffer = pages.get(n);
+      if (buffer) {
+        pages.delete(n);
+      } else {
+        if (!open) throw new Error(`${file} has been closed`);
+        buffer = Buffer.alloc(PAGE_SIZE);
+        buffer = buffer.subarray(0, fs.readSync(fd, buffer, 0, PAGE_SIZE, n * PAGE_SIZE));
+        if (pages.size >= MAX_PAGES) pages.delete(pages.keys().next().value);
+      }
+      pages.set(n, buffer);
+      return buffer;
+    };
+    const read = (offset, length) => {
+      const n = Math.floor(offset / PAGE_SIZE);
+      const start = offset - n * PAGE_SIZE;
+      if (start + length <= PAGE_SIZE) return page(n).subarray(start, start + length);
+      if (!open) throw new Error(`${file} has been closed`);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, offset);
+      return buffer;
+    };
+
+    const strings = new Map();
+    const text = (pointer) => {
+      let value = strings.get(pointer);
+      if (value === undefined) {
+        const length = read(pointer, 1)[0];
+        value = read(pointer + 1, length).toString('utf8');
+        if (value === '-' || value === '') value = null;
+        if (strings.size >= MAX_CACHED_STRINGS) strings.clear();
+        strings.set(pointer, value);
+      }
+      return value;
+    };
+
+    const rowOffset = (i) => section.base - 1 + i * rowSize;
+    const rangeStart = (i) => {
+      const bytes = read(rowOffset(i), addressBytes);
+      return ipv6 ? (bytes.readBigUInt64LE(8) << 64n) | bytes.readBigUInt64LE(0) : BigInt(bytes.readUInt32LE(0));
+    };
+    const fieldValue = (row, field) => {
+      if (field.float) return String(Math.round(row.readFloatLE(field.offset) * 1e6) / 1e6);
+      return text(row.readUInt32LE(field.offset) + field.skip);
+    };
+    const columnsOf = (i) => read(rowOffset(i) + addressBytes, rowSize - addressBytes);
+    const country = fields.find(field => field.name === 'countryCode');
+    const isHole = (row) => fieldValue(row, country) === null;
+
+    return {
+      format: 'BIN',
+      path: dbPath,
+      words,
+      length: section.count,
+      buildDate: header.date,
+      rangeStart,
+      rangeEnd: (i) => rangeStart(i + 1) - 1n,
+      // The last row starting at or before `ipNum`, or -1
+      findRow(ipNum) {
+        let low = 0;
+        let high = section.count - 1;
+        if (index) {
+          const bucket = Number(ipNum >> BigInt(words * 32 - 16)) * 2;
+          low = Math.min(index[bucket], high);
+          high = Math.min(index[bucket + 1], high);
+        }
+        let last = low - 1;
+        while (low <= high) {
+          const mid = Math.floor((low + high) / 2);
+          if (rangeStart(mid) > ipNum) high = mid - 1;
+          else {
+            last = mid;
+            low = mid + 1;
+          }
+        }
+        return last;
+      },
+      record(i) {
+        const row = columnsOf(i);
+        if (isHole(row)) return null;
+        const record = {};
+        for (const field of fields) record[field.name] = fieldValue(row, field);
+        return record;
+      },
+      value(i, name) {
+        const row = columnsOf(i);
+        const field = fields.find(entry => entry.name === name);
+        return field && !isHole(row) ? fieldValue(row, field) : null;
+      },
+      get bytes() {
+        let bytes = index ? index.byteLength : 0;
+        for (const buffer of pages.values()) bytes += buffer.length;
+        return bytes;
+      },
+      close() {
+        if (!open) return;
+        open = false;
+        pages.clear();
+        fs.closeSync(fd);
+      },
+    };
+  } catch (error) {
+    fs.closeSync(fd);
+    throw error;
+  }
+}
+
+export { readBinHeader, openBinDatabase };
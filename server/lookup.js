@@ -0,0 +1,1892 @@
+// IP lookup engine: loads the MaxMind, IP2Location/IP2Proxy, overlay and risk
+// list databases from data/ and merges them into one result per address.
+// Shared by the HTTP server (server/index.js) and the ip-lookup CLI.
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import maxmind from 'maxmind';
+import { readBinHeader, openBinDatabase } from './ip2location-bin.js';
+import YAML from 'yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// --- Database Configuration ---
+// DATA_DIR moves the data/ folder, e.g. to a volume or a test fixture
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : join(__dirname, '..', 'data');
+
+// MaxMind (MMDB). Every .mmdb file in data/ is opened and used according to
+// the databaseType in its metadata, whatever the file is called.
+let cityLookup = null;
+let countryLookup = null;
+let asnLookup = null;
+let ispLookup = null;
+let anonymousIpLookup = null;
+let connectionTypeLookup = null;
+let domainLookup = null;
+
+// Database types per reader, most preferred first; a type also matches its
+// regional editions (e.g. "GeoIP2-City-Europe"). `file` is the usual file
+// name, reported in /info while the database is missing.
+const MAXMIND_DATABASES = [
+  { name: 'MaxMind City', key: 'cityLookup', types: ['GeoIP2-Enterprise', 'GeoIP2-City', 'GeoLite2-City'], file: 'GeoLite2-City.mmdb' },
+  { name: 'MaxMind Country', key: 'countryLookup', types: ['GeoIP2-Country', 'GeoLite2-Country'], file: 'GeoLite2-Country.mmdb' },
+  { name: 'MaxMind ASN', key: 'asnLookup', types: ['GeoLite2-ASN'], file: 'GeoLite2-ASN.mmdb' },
+  { name: 'MaxMind ISP', key: 'ispLookup', types: ['GeoIP2-ISP'], file: 'GeoIP2-ISP.mmdb' },
+  { name: 'MaxMind Anonymous IP', key: 'anonymousIpLookup', types: ['GeoIP2-Anonymous-IP'], file: 'GeoIP2-Anonymous-IP.mmdb' },
+  { name: 'MaxMind Connection Type', key: 'connectionTypeLookup', types: ['GeoIP2-Connection-Type'], file: 'GeoIP2-Connection-Type.mmdb' },
+  { name: 'MaxMind Domain', key: 'domainLookup', types: ['GeoIP2-Domain'], file: 'GeoIP2-Domain.mmdb' },
+];
+
+// IP2Location / IP2Proxy (CSV)
+// The IPv6 editions hold IPv6 ranges plus IPv4 ranges in IPv4-mapped form (::ffff:0:0/96)
+let ipProxyDatabase = null;
+let ipLocationDatabase = null;
+let ipProxyV6Database = null;
+let ipLocationV6Database = null;
+
+// Secondary indexes for reverse lookups (ASN / country / proxy → ranges)
+let reverseIndexes = null;
+
+// Optional plain-text lists used by risk scoring
+let torExitNodes = null;
+let datacenterAsns = null;
+const torExitListPath = process.env.TOR_EXIT_LIST || join(dataDir, 'tor-exit-nodes.txt');
+const datacenterAsnListPath = process.env.DATACENTER_ASN_LIST || join(dataDir, 'datacenter-asns.txt');
+
+// Local overlay of CIDR → fields that takes precedence over every database.
+// OVERLAY_FILE picks the file; otherwise the first of data/overlay.{yaml,yml,json,csv}.
+let overlay = null;
+const OVERLAY_FILES = process.env.OVERLAY_FILE
+  ? [process.env.OVERLAY_FILE]
+  : ['overlay.yaml', 'overlay.yml', 'overlay.json', 'overlay.csv'].map(name => join(dataDir, name));
+
+// IP2Location (DB1-DB26) and IP2Proxy (PX1-PX12) editions differ only in the
+// columns that follow ip_from and ip_to. Each edition lists its column groups
+// in the vendor's order; columns are named after the response fields they
+// feed (see csvFields).
+const CSV_COLUMN_GROUPS = {
+  country: ['countryCode', 'countryName'],
+  region: ['regionName'],
+  city: ['cityName'],
+  coordinates: ['latitude', 'longitude'],
+  zipCode: ['zipCode'],
+  timeZone: ['timeZone'],
+  isp: ['isp'],
+  domain: ['domain'],
+  netSpeed: ['netspeed'],
+  areaCode: ['iddCode', 'areaCode'],
+  weather: ['weatherStationCode', 'weatherStationName'],
+  mobile: ['mcc', 'mnc', 'mobileBrand'],
+  elevation: ['elevation'],
+  usageType: ['usageType'],
+  addressType: ['addressType'],
+  category: ['category'],
+  district: ['district'],
+  asn: ['asn', 'as'],
+  proxyType: ['proxyType'],
+  lastSeen: ['lastSeen'],
+  threat: ['threat'],
+  provider: ['provider'],
+  fraudScore: ['fraudScore'],
+};
+
+const editionColumns = (editions) => Object.fromEntries(
+  Object.entries(editions).map(([edition, groups]) => [edition, groups.split(' ').flatMap(group => CSV_COLUMN_GROUPS[group])])
+);
+
+const LOCATION_EDITIONS = editionColumns({
+  DB1: 'country',
+  DB2: 'country isp',
+  DB3: 'country region city',
+  DB4: 'country region city isp',
+  DB5: 'country region city coordinates',
+  DB6: 'country region city coordinates isp',
+  DB7: 'country region city isp domain',
+  DB8: 'country region city coordinates isp domain',
+  DB9: 'country region city coordinates zipCode',
+  DB10: 'country region city coordinates zipCode isp domain',
+  DB11: 'country region city coordinates zipCode timeZone',
+  DB12: 'country region city coordinates zipCode timeZone isp domain',
+  DB13: 'country region city coordinates timeZone netSpeed',
+  DB14: 'country region city coordinates zipCode timeZone isp domain netSpeed',
+  DB15: 'country region city coordinates zipCode timeZone areaCode',
+  DB16: 'country region city coordinates zipCode timeZone isp domain netSpeed areaCode',
+  DB17: 'country region city coordinates timeZone netSpeed weather',
+  DB18: 'country region city coordinates zipCode timeZone isp domain netSpeed areaCode weather',
+  DB19: 'country region city coordinates isp domain mobile',
+  DB20: 'country region city coordinates zipCode timeZone isp domain netSpeed areaCode weather mobile',
+  DB21: 'country region city coordinates zipCode timeZone areaCode elevation',
+  DB22: 'country region city coordinates zipCode timeZone isp domain netSpeed areaCode weather mobile elevation',
+  DB23: 'country region city coordinates isp domain mobile usageType',
+  DB24: 'country region city coordinates zipCode timeZone isp domain netSpeed areaCode weather mobile elevation usageType',
+  DB25: 'country region city coordinates zipCode timeZone isp domain netSpeed areaCode weather mobile elevation usageType addressType category',
+  DB26: 'country region city coordinates zipCode timeZone isp domain netSpeed areaCode weather mobile elevation usageType addressType category district asn',
+});
+
+const PROXY_EDITIONS = editionColumns({
+  PX1: 'country',
+  PX2: 'proxyType country',
+  PX3: 'proxyType country region city',
+  PX4: 'proxyType country region city isp',
+  PX5: 'proxyType country region city isp domain',
+  PX6: 'proxyType country region city isp domain usageType',
+  PX7: 'proxyType country region city isp domain usageType asn',
+  PX8: 'proxyType country region city isp domain usageType asn lastSeen',
+  PX9: 'proxyType country region city isp domain usageType asn lastSeen threat',
+  PX10: 'proxyType country region city isp domain usageType asn lastSeen threat',
+  PX11: 'proxyType country region city isp domain usageType asn lastSeen threat provider',
+  PX12: 'proxyType country region city isp domain usageType asn lastSeen threat provider fraudScore',
+});
+
+// `preferred` breaks ties between editions of the same width (the LITE ones)
+const CSV_PRODUCTS = {
+  IP2Location: { prefix: 'IP2LOCATION', editionPrefix: 'DB', editions: LOCATION_EDITIONS, preferred: ['DB1', 'DB3', 'DB5', 'DB9', 'DB11'], editionEnv: 'IP2LOCATION_EDITION' },
+  IP2Proxy: { prefix: 'IP2PROXY', editionPrefix: 'PX', editions: PROXY_EDITIONS, preferred: [], editionEnv: 'IP2PROXY_EDITION' },
+};
+
+// The IP2Location/IP2Proxy sources, the key each is loaded under and the
+// environment variable that overrides its path (see findCSVDatabase). Each
+// is read from a BIN file when there is one, else from the CSV.
+const CSV_SOURCES = [
+  { name: 'IP2Proxy', key: 'ipProxyDatabase', product: 'IP2Proxy', ipv6: false, pathEnv: 'IP2PROXY_CSV', defaultFile: 'IP2PROXY-LITE-PX12.CSV' },
+  { name: 'IP2Proxy IPv6', key: 'ipProxyV6Database', product: 'IP2Proxy', ipv6: true, pathEnv: 'IP2PROXY_IPV6_CSV', defaultFile: 'IP2PROXY-LITE-PX12.IPV6.CSV' },
+  { name: 'IP2Location', key: 'ipLocationDatabase', product: 'IP2Location', ipv6: false, pathEnv: 'IP2LOCATION_CSV', defaultFile: 'IP2LOCATION-LITE-DB11.CSV' },
+  { name: 'IP2Location IPv6', key: 'ipLocationV6Database', product: 'IP2Location', ipv6: true, pathEnv: 'IP2LOCATION_IPV6_CSV', defaultFile: 'IP2LOCATION-LITE-DB11.IPV6.CSV' },
+];
+
+// --- Helper Functions for CSV Databases ---
+// Each CSV is held as a columnar range index: range bounds in Uint32Arrays
+// (one word per bound for IPv4, four for IPv6) and, per column, an array of
+// ids into a deduplicated string table (id 0 means "no value").
+// The index is cached next to the CSV so later starts skip parsing.
+const INDEX_CACHE_MAGIC = 'RIDX';
+const INDEX_CACHE_VERSION = 2;
+const ID_ARRAY_TYPES = { Uint8Array, Uint16Array, Uint32Array };
+
+function createUint32Builder(initialSize = 1 << 16) {
+  let buffer = new Uint32Array(initialSize);
+  let length = 0;
+  return {
+    push(value) {
+      if (length === buffer.length) {
+        const grown = new Uint32Array(buffer.length * 2);
+        grown.set(buffer);
+        buffer = grown;
+      }
+      buffer[length++] = value;
+    },
+    finish: () => buffer.slice(0, length),
+  };
+}
+
+function pushAddressWords(builder, value, words) {
+  for (let shift = BigInt((words - 1) * 32); shift >= 0n; shift -= 32n) {
+    builder.push(Number((value >> shift) & 0xffffffffn));
+  }
+}
+
+function compactIds(ids, tableSize) {
+  const Type = tableSize <= 0xff ? Uint8Array : tableSize <= 0xffff ? Uint16Array : Uint32Array;
+  return Type === Uint32Array ? ids : Type.from(ids);
+}
+
+function indexByteSize(index) {
+  let bytes = index.from.byteLength + index.to.byteLength;
+  for (const column of index.columns) {
+    bytes += column.ids.byteLength;
+    for (const str of column.strings) bytes += str ? str.length * 2 : 0;
+  }
+  return bytes;
+}
+
+// Splits one CSV record per RFC 4180: quoted fields may hold commas, doubled
+// quotes and line breaks. Returns null while a quoted field is still open at
+// the end of `text`, i.e. the record continues on the next line.
+function parseCSVRecord(text) {
+  const fields = [];
+  let i = 0;
+  for (;;) {
+    let field = '';
+    if (text[i] === '"') {
+      i++;
+      for (;;) {
+        const quote = text.indexOf('"', i);
+        if (quote === -1) return null;
+        field += text.slice(i, quote);
+        i = quote + 1;
+        if (text[i] !== '"') break;
+        field += '"';
+        i++;
+      }
+      if (i < text.length && text[i] !== ',') {
+        throw new Error(`unexpected character after closing quote at column ${i + 1}`);
+      }
+    } else {
+      const comma = text.indexOf(',', i);
+      const end = comma === -1 ? text.length : comma;
+      field = text.slice(i, end);
+      if (field.includes('"')) throw new Error(`stray quote in unquoted field at column ${i + 1}`);
+      i = end;
+    }
+    fields.push(field);
+    if (i >= text.length) return fields;
+    i++;
+  }
+}
+
+const MAX_LOGGED_MALFORMED_ROWS = 10;
+
+// Accumulates rows (in any order) into the columnar layout described above
+function createRangeIndexBuilder(columns, words) {
+  const from = createUint32Builder();
+  const to = createUint32Builder();
+  const ids = columns.map(() => createUint32Builder());
+  const interned = columns.map(() => new Map());
+  const strings = columns.map(() => [null]);
+  let length = 0;
+  return {
+    get length() {
+      return length;
+    },
+    add(ipFrom, ipTo, values) {
+      pushAddressWords(from, ipFrom, words);
+      pushAddressWords(to, ipTo, words);
+      for (let i = 0; i < columns.length; i++) {
+        const value = values[i];
+        if (value === undefined || value === null || value === '-' || value === '') {
+          ids[i].push(0);
+          continue;
+        }
+        let id = interned[i].get(value);
+        if (id === undefined) {
+          id = strings[i].length;
+          strings[i].push(value);
+          interned[i].set(value, id);
+        }
+        ids[i].push(id);
+      }
+      return length++;
+    },
+    finish: () => ({
+      words,
+      length,
+      from: from.finish(),
+      to: to.finish(),
+      columns: columns.map((name, i) => ({ name, strings: strings[i], ids: compactIds(ids[i].finish(), strings[i].length) })),
+    }),
+  };
+}
+
+async function buildIPIndex(dbPath, columns, words, logger) {
+  const builder = createRangeIndexBuilder(columns, words);
+  const fileStream = fs.createReadStream(dbPath, { encoding: 'utf8' });
+  const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+  const expectedFields = columns.length + 2;
+  const maxAddress = (1n << BigInt(words * 32)) - 1n;
+  let sorted = true;
+  let previousFrom = -1n;
+  let lineNumber = 0;
+  let recordLine = 0;
+  let pending = null;
+  let malformedRows = 0;
+
+  const reportMalformed = (line, reason) => {
+    malformedRows++;
+    if (malformedRows <= MAX_LOGGED_MALFORMED_ROWS) {
+      logger.warn(`⚠️ ${path.basename(dbPath)}:${line}: skipping malformed row (${reason})`);
+    }
+  };
+
+  for await (const line of rl) {
+    lineNumber++;
+    if (pending === null) {
+      if (!line.trim()) continue;
+      recordLine = lineNumber;
+    }
+    const text = pending === null ? line : `${pending}\n${line}`;
+    let parts;
+    try {
+      parts = parseCSVRecord(text);
+    } catch (error) {
+      pending = null;
+      reportMalformed(recordLine, error.message);
+      continue;
+    }
+    if (parts === null) {
+      pending = text;
+      continue;
+    }
+    pending = null;
+
+    // A first row of the wrong width means the file is a different edition
+    if (parts.length !== expectedFields) {
+      if (builder.length === 0 && malformedRows === 0) {
+        throw new Error(`${path.basename(dbPath)} has ${parts.length} columns, expected ${expectedFields}`);
+      }
+      reportMalformed(recordLine, `${parts.length} columns, expected ${expectedFields}`);
+      continue;
+    }
+    let ipFrom;
+    let ipTo;
+    try {
+      ipFrom = BigInt(parts[0]);
+      ipTo = BigInt(parts[1]);
+    } catch {
+      reportMalformed(recordLine, 'range bounds are not integers');
+      continue;
+    }
+    if (ipFrom < 0n || ipFrom > ipTo || ipTo > maxAddress) {
+      reportMalformed(recordLine, 'invalid address range');
+      continue;
+    }
+
+    if (ipFrom < previousFrom) sorted = false;
+    previousFrom = ipFrom;
+    builder.add(ipFrom, ipTo, parts.slice(2));
+  }
+  if (pending !== null) reportMalformed(recordLine, 'unterminated quoted field');
+  if (malformedRows > MAX_LOGGED_MALFORMED_ROWS) {
+    logger.warn(`⚠️ ${path.basename(dbPath)}: ${malformedRows} malformed rows skipped in total`);
+  }
+
+  const index = { ...builder.finish(), malformedRows };
+  return sorted ? index : sortIPIndex(index);
+}
+
+// IP2Location files ship sorted; this only runs for hand-edited ones
+function sortIPIndex(index) {
+  const { words } = index;
+  const order = Array.from({ length: index.length }, (_, i) => i);
+  order.sort((a, b) => compareWords(index.from, a * words, index.from, b * words, words));
+  const permute = (array, width) => {
+    const out = new array.constructor(array.length);
+    order.forEach((src, dst) => out.set(array.subarray(src * width, src * width + width), dst * width));
+    return out;
+  };
+  return {
+    ...index,
+    from: permute(index.from, words),
+    to: permute(index.to, words),
+    columns: index.columns.map(column => ({ ...column, ids: permute(column.ids, 1) })),
+  };
+}
+
+function indexCachePath(dbPath) {
+  return `${dbPath}.idx`;
+}
+
+function writeIndexCache(dbPath, index, stat) {
+  const buffers = [index.from, index.to, ...index.columns.map(c => c.ids)];
+  const header = Buffer.from(JSON.stringify({
+    version: INDEX_CACHE_VERSION,
+    source: { size: stat.size, mtimeMs: stat.mtimeMs },
+    words: index.words,
+    length: index.length,
+    malformedRows: index.malformedRows,
+    columns: index.columns.map(c => ({ name: c.name, type: c.ids.constructor.name, strings: c.strings })),
+  }));
+  const align = (n) => (n + 3) & ~3;
+  const prefix = Buffer.alloc(8);
+  prefix.write(INDEX_CACHE_MAGIC, 0, 'latin1');
+  prefix.writeUInt32LE(header.length, 4);
+  const chunks = [prefix, header, Buffer.alloc(align(8 + header.length) - 8 - header.length)];
+  for (const array of buffers) {
+    chunks.push(Buffer.from(array.buffer, array.byteOffset, array.byteLength));
+    chunks.push(Buffer.alloc(align(array.byteLength) - array.byteLength));
+  }
+  const cachePath = indexCachePath(dbPath);
+  const tmpPath = `${cachePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, Buffer.concat(chunks));
+  fs.renameSync(tmpPath, cachePath);
+}
+
+// Returns the cached index, or null when it is missing or stale
+function readIndexCache(dbPath, columns, stat) {
+  const cachePath = indexCachePath(dbPath);
+  if (!fs.existsSync(cachePath)) return null;
+  let file = fs.readFileSync(cachePath);
+  if (file.toString('latin1', 0, 4) !== INDEX_CACHE_MAGIC) return null;
+  if (file.byteOffset % 4 !== 0) file = Buffer.from(Uint8Array.prototype.slice.call(file));
+  const headerLength = file.readUInt32LE(4);
+  const header = JSON.parse(file.toString('utf8', 8, 8 + headerLength));
+  if (header.version !== INDEX_CACHE_VERSION ||
+    header.source.size !== stat.size ||
+    header.source.mtimeMs !== stat.mtimeMs ||
+    header.columns.map(c => c.name).join() !== columns.join()) {
+    return null;
+  }
+
+  let offset = (8 + headerLength + 3) & ~3;
+  const view = (Type, count) => {
+    const array = new Type(file.buffer, file.byteOffset + offset, count);
+    offset += (array.byteLength + 3) & ~3;
+    return array;
+  };
+  const from = view(Uint32Array, header.length * header.words);
+  const to = view(Uint32Array, header.length * header.words);
+  return {
+    words: header.words,
+    length: header.length,
+    malformedRows: header.malformedRows,
+    from,
+    to,
+    columns: header.columns.map(c => ({ name: c.name, strings: c.strings, ids: view(ID_ARRAY_TYPES[c.type], header.length) })),
+  };
+}
+
+// The path from the environment, else the highest edition of the source in
+// data/, as a loose file or inside the folder of the same name that the
+// vendor zips extract to. BIN files win over CSVs, then commercial files
+// over LITE ones of the same edition.
+function findCSVDatabase(source) {
+  if (process.env[source.pathEnv]) return process.env[source.pathEnv];
+  const { prefix } = CSV_PRODUCTS[source.product];
+  const pattern = new RegExp(`^${prefix}-(LITE-)?(?:DB|PX)(\\d+)${source.ipv6 ? '\\.IPV6' : ''}\\.(BIN|CSV)$`, 'i');
+  let best = null;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dataDir, { withFileTypes: true });
+  } catch {
+    // No data directory yet
+  }
+  for (const entry of entries) {
+    const match = entry.name.match(pattern);
+    if (!match) continue;
+    const filePath = entry.isDirectory() ? join(dataDir, entry.name, entry.name) : join(dataDir, entry.name);
+    if (!fs.statSync(filePath, { throwIfNoEntry: false })?.isFile()) continue;
+    const rank = (match[3].toUpperCase() === 'BIN' ? 1000 : 0) + Number(match[2]) * 2 + (match[1] ? 0 : 1);
+    if (!best || rank > best.rank) best = { rank, filePath };
+  }
+  return best?.filePath ?? join(dataDir, source.defaultFile, source.defaultFile);
+}
+
+// Shapes of the typed columns, used to tell apart editions of the same width
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const COLUMN_SHAPES = {
+  latitude: NUMBER_PATTERN,
+  longitude: NUMBER_PATTERN,
+  timeZone: /^[+-]\d{2}:\d{2}$/,
+  netspeed: /^(DIAL|DSL|COMP|T1|SAT)$/,
+  iddCode: /^\d[\d-]*$/,
+  mcc: /^\d{3}(\/\d{3})*$/,
+  mnc: /^\d{2,3}(\/\d{2,3})*$/,
+  elevation: /^-?\d+$/,
+  asn: /^\d+$/,
+  proxyType: /^[A-Z]{3}$/,
+};
+const SAMPLE_BYTES = 65536;
+
+// Parses the records in the first SAMPLE_BYTES of a CSV
+function readSampleRecords(dbPath) {
+  const buffer = Buffer.alloc(SAMPLE_BYTES);
+  const fd = fs.openSync(dbPath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_BYTES, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lines = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/);
+  if (bytesRead === SAMPLE_BYTES) lines.pop();
+  const records = [];
+  let pending = null;
+  for (const line of lines) {
+    if (pending === null && !line.trim()) continue;
+    const text = pending === null ? line : `${pending}\n${line}`;
+    try {
+      pending = null;
+      const record = parseCSVRecord(text);
+      if (record === null) pending = text;
+      else records.push(record);
+    } catch {
+      // Malformed rows are reported when the index is built
+    }
+  }
+  return records;
+}
+
+// Works out which edition a CSV is: the one named in the product's
+// *_EDITION variable, else the one in its file name (e.g. "DB11") if its
+// rows fit it, else the edition whose width and column shapes fit the first
+// rows best, preferring LITE editions when several fit equally well.
+function detectEdition(product, dbPath, logger) {
+  const { editions, preferred, editionEnv } = CSV_PRODUCTS[product];
+  const file = path.basename(dbPath);
+  const configured = process.env[editionEnv]?.trim().toUpperCase();
+  if (configured) {
+    if (!editions[configured]) throw new Error(`Unknown ${product} edition "${configured}" in ${editionEnv}`);
+    return configured;
+  }
+  const named = file.toUpperCase().match(/(?:DB|PX)\d+/g)?.find(edition => editions[edition]);
+
+  // Rows of the most common width stand for the file
+  const records = readSampleRecords(dbPath);
+  const widths = new Map();
+  for (const record of records) widths.set(record.length, (widths.get(record.length) || 0) + 1);
+  const [width] = [...widths].sort((a, b) => b[1] - a[1])[0] ?? [];
+  if (width === undefined) {
+    if (named) return named;
+    throw new Error(`${file} has no records to detect its ${product} edition from`);
+  }
+  const sample = records.filter(record => record.length === width);
+  // How many sample values the edition's column shapes recognise, or -1 if
+  // it does not fit. Untyped columns accept anything, so the edition that
+  // recognises the most values wins (DB13's time zone and net speed over
+  // DB8's ISP and domain).
+  const score = (edition) => {
+    if (editions[edition].length + 2 !== width) return -1;
+    let recognised = 0;
+    for (const record of sample) {
+      for (const [i, column] of editions[edition].entries()) {
+        const value = record[i + 2];
+        if (!COLUMN_SHAPES[column] || value === '-' || value === '') continue;
+        if (!COLUMN_SHAPES[column].test(value)) return -1;
+        recognised++;
+      }
+    }
+    return recognised;
+  };
+
+  if (named && score(named) >= 0) return named;
+  const scores = Object.fromEntries(Object.keys(editions).map(edition => [edition, score(edition)]));
+  const best = Math.max(...Object.values(scores));
+  if (best < 0) {
+    throw new Error(`${file} has ${width} columns, which matches no ${product} edition`);
+  }
+  const candidates = Object.keys(editions).filter(edition => scores[edition] === best);
+  const edition = candidates.find(candidate => preferred.includes(candidate)) ?? candidates[0];
+  if (named) logger.warn(`⚠️ ${file} is named ${named} but its columns match ${edition}; loading it as ${edition}`);
+  return edition;
+}
+
+// BIN files name their product and edition in the header, so the
+// *_EDITION variables do not apply to them
+function loadBinDatabase(dbPath, product, { ipv6 = false } = {}) {
+  const started = performance.now();
+  const file = path.basename(dbPath);
+  const { editionPrefix, editions } = CSV_PRODUCTS[product];
+  const header = readBinHeader(dbPath);
+  if (header.product && header.product !== product) throw new Error(`${file} is an ${header.product} BIN file, expected ${product}`);
+  const edition = `${editionPrefix}${header.type}`;
+  if (!editions[edition]) throw new Error(`${file} is of unknown ${product} edition ${edition}`);
+  const db = openBinDatabase(dbPath, editions[edition], { ipv6 });
+  db.edition = edition;
+  db.stats = {
+    format: 'BIN',
+    loadTimeMs: Math.round(performance.now() - started),
+    get bytes() {
+      return db.bytes;
+    },
+  };
+  return db;
+}
+
+async function loadIPDatabase(dbPath, product, { ipv6 = false, logger = console } = {}) {
+  if (!fs.existsSync(dbPath)) {
+    return null;
+  }
+  if (/\.bin$/i.test(dbPath)) return loadBinDatabase(dbPath, product, { ipv6 });
+  const started = performance.now();
+  const stat = fs.statSync(dbPath);
+  const edition = detectEdition(product, dbPath, logger);
+  const columns = CSV_PRODUCTS[product].editions[edition];
+  let index = null;
+  try {
+    index = readIndexCache(dbPath, columns, stat);
+  } catch (error) {
+    logger.warn(`⚠️ Ignoring unreadable index cache for ${dbPath}:`, error.message);
+  }
+  const fromCache = Boolean(index);
+  if (!index) {
+    index = await buildIPIndex(dbPath, columns, ipv6 ? 4 : 1, logger);
+    try {
+      writeIndexCache(dbPath, index, stat);
+    } catch (error) {
+      logger.warn(`⚠️ Could not write index cache for ${dbPath}:`, error.message);
+    }
+  }
+  index.format = 'CSV';
+  index.edition = edition;
+  index.stats = {
+    format: 'CSV',
+    fromCache,
+    malformedRows: index.malformedRows,
+    loadTimeMs: Math.round(performance.now() - started),
+    bytes: indexByteSize(index),
+  };
+  return index;
+}
+
+// Strict address parsing. IPv4 must be four decimal octets without leading
+// zeros ("01.02.03.04" is octal to some tools); IPv6 takes the RFC 4291 text
+// forms, an optional trailing dotted quad and an optional zone ID ("fe80::1%eth0").
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const ZONE_PATTERN = /^[\w.-]+$/;
+
+function ipToNumber(ip) {
+  if (!IPV4_PATTERN.test(ip)) return null;
+  return ip.split('.').reduce((value, octet) => (value << 8n) | BigInt(octet), 0n);
+}
+
+// Parses an IPv6 address (compressed and embedded-IPv4 forms) to a 128-bit BigInt
+function ipv6ToNumber(ip) {
+  let [addr, zone, ...rest] = ip.split('%');
+  if (rest.length > 0 || (zone !== undefined && !ZONE_PATTERN.test(zone))) return null;
+  if (addr.includes('.')) {
+    const lastColon = addr.lastIndexOf(':');
+    const v4 = ipToNumber(addr.slice(lastColon + 1));
+    if (v4 === null) return null;
+    addr = `${addr.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+  const halves = addr.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return value;
+}
+
+const IPV4_MAPPED_START = 0xffff00000000n;
+const IPV4_MAPPED_END = 0xffffffffffffn;
+
+// 6to4 (2002::/16, RFC 3056) carries an IPv4 address in bits 16-47; Teredo
+// (2001::/32, RFC 4380) carries the client's public address, inverted, in the
+// low 32 bits
+function embeddedIPv4(value) {
+  if (value >> 112n === 0x2002n) return { type: '6to4', ipv4: numberToIP((value >> 80n) & 0xffffffffn, 4) };
+  if (value >> 96n === 0x20010000n) return { type: 'teredo', ipv4: numberToIP(~value & 0xffffffffn, 4) };
+  return null;
+}
+
+// Parses and normalizes a single address, or returns null. IPv6 comes back in
+// RFC 5952 form without its zone ID, IPv4-mapped addresses as plain IPv4, and
+// 6to4/Teredo addresses with the IPv4 address they embed.
+function parseIP(input) {
+  if (typeof input !== 'string') return null;
+  const v4 = ipToNumber(input);
+  if (v4 !== null) return { ip: input, version: 4, value: v4 };
+  const v6 = ipv6ToNumber(input);
+  if (v6 === null) return null;
+  if (v6 >= IPV4_MAPPED_START && v6 <= IPV4_MAPPED_END) {
+    return { ip: numberToIP(v6 - IPV4_MAPPED_START, 4), version: 4, value: v6 - IPV4_MAPPED_START };
+  }
+  const parsed = { ip: numberToIP(v6, 6), version: 6, value: v6 };
+  const embedded = embeddedIPv4(v6);
+  if (embedded) parsed.embedded = embedded;
+  return parsed;
+}
+
+function compareWords(a, aOffset, b, bOffset, words) {
+  for (let i = 0; i < words; i++) {
+    if (a[aOffset + i] !== b[bOffset + i]) return a[aOffset + i] < b[bOffset + i] ? -1 : 1;
+  }
+  return 0;
+}
+
+function wordsToNumber(array, offset, words) {
+  let value = 0n;
+  for (let i = 0; i < words; i++) value = (value << 32n) | BigInt(array[offset + i]);
+  return value;
+}
+
+// Row access shared by the in-memory CSV indexes and the BIN readers
+// (format 'BIN', see ip2location-bin.js), which read their rows from disk.
+// Materializes row `i` as { column: value }; empty ("-") values are null
+function getIndexRecord(index, i) {
+  if (index.format === 'BIN') return index.record(i);
+  const record = {};
+  for (const column of index.columns) record[column.name] = column.strings[column.ids[i]];
+  return record;
+}
+
+function rangeStart(db, i) {
+  return db.format === 'BIN' ? db.rangeStart(i) : wordsToNumber(db.from, i * db.words, db.words);
+}
+
+function rangeEnd(db, i) {
+  return db.format === 'BIN' ? db.rangeEnd(i) : wordsToNumber(db.to, i * db.words, db.words);
+}
+
+function addressKey(ipNum, words) {
+  const key = new Uint32Array(words);
+  for (let i = 0; i < words; i++) key[i] = Number((ipNum >> BigInt((words - 1 - i) * 32)) & 0xffffffffn);
+  return key;
+}
+
+// The last row of `db` starting at or before `ipNum`, or -1
+function findRow(db, ipNum) {
+  if (db.format === 'BIN') return db.findRow(ipNum);
+  const { words } = db;
+  const key = addressKey(ipNum, words);
+  let left = 0;
+  let right = db.length - 1;
+  let last = -1;
+  while (left <= right) {
+    const mid = Math.floor((left + right) / 2);
+    if (compareWords(key, 0, db.from, mid * words, words) < 0) right = mid - 1;
+    else {
+      last = mid;
+      left = mid + 1;
+    }
+  }
+  return last;
+}
+
+function lookupIP(ipNum, db) {
+  if (!db || db.length === 0) return null;
+  if (ipNum >> BigInt(db.words * 32) !== 0n) return null;
+  const row = findRow(db, ipNum);
+  return row >= 0 && ipNum <= rangeEnd(db, row) ? getIndexRecord(db, row) : null;
+}
+
+// Looks an address up in the IPv4 edition of a CSV source, falling back to
+// the IPv6 edition (which also covers IPv4 through mapped addresses).
+function lookupCSV(ip, v4Db, v6Db) {
+  let v4Num = ipToNumber(ip);
+  let v6Num = null;
+  if (v4Num === null) {
+    v6Num = ipv6ToNumber(ip);
+    if (v6Num === null) return null;
+    if (v6Num >= IPV4_MAPPED_START && v6Num <= IPV4_MAPPED_END) v4Num = v6Num - IPV4_MAPPED_START;
+  }
+  if (v4Num !== null) {
+    return lookupIP(v4Num, v4Db) || lookupIP(v4Num + IPV4_MAPPED_START, v6Db);
+  }
+  return lookupIP(v6Num, v6Db);
+}
+
+// --- Range Helpers ---
+function numberToIP(value, version) {
+  if (version === 4) return [24n, 16n, 8n, 0n].map(shift => (value >> shift) & 0xffn).join('.');
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) groups.push(Number((value >> shift) & 0xffffn));
+  // Compress the longest run of two or more zero groups (RFC 5952)
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8;) {
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j === i ? i + 1 : j;
+  }
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+function parseCIDR(cidr) {
+  const [address, prefixText, ...rest] = cidr.split('/');
+  if (rest.length > 0) return null;
+  let version = 4;
+  let value = ipToNumber(address);
+  if (value === null) {
+    version = 6;
+    value = ipv6ToNumber(address);
+  }
+  if (value === null) return null;
+  const bits = version === 4 ? 32 : 128;
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (prefix > bits) return null;
+  const hostBits = BigInt(bits - prefix);
+  const start = (value >> hostBits) << hostBits;
+  return { version, bits, prefix, start, end: start + (1n << hostBits) - 1n };
+}
+
+// Splits [start, end] into the fewest CIDR blocks that cover it exactly
+function rangeToCIDRs(start, end, version) {
+  const bits = version === 4 ? 32 : 128;
+  const cidrs = [];
+  while (start <= end) {
+    let hostBits = 0;
+    while (hostBits < bits) {
+      const size = 1n << BigInt(hostBits + 1);
+      if ((start & (size - 1n)) !== 0n || start + size - 1n > end) break;
+      hostBits++;
+    }
+    cidrs.push(`${numberToIP(start, version)}/${bits - hostBits}`);
+    start += 1n << BigInt(hostBits);
+  }
+  return cidrs;
+}
+
+// Returns the row of `db` covering `ipNum` together with where it ends, or
+// when no row covers it, the end of the gap before the next row.
+function indexSegmentAt(db, ipNum) {
+  const maxAddress = db ? (1n << BigInt(db.words * 32)) - 1n : 0n;
+  if (!db || db.length === 0 || ipNum > maxAddress) return { end: null, row: null };
+  const last = findRow(db, ipNum);
+  if (last >= 0) {
+    const end = rangeEnd(db, last);
+    if (ipNum <= end) return { end, row: getIndexRecord(db, last) };
+  }
+  const next = last + 1;
+  return { end: next < db.length ? rangeStart(db, next) - 1n : maxAddress, row: null };
+}
+
+// A cursor over one CSV source in the address space of `version`, using the
+// IPv6 edition through mapped addresses when no IPv4 edition is loaded.
+function csvCursor(v4Db, v6Db, version) {
+  if (version === 4 && !v4Db && v6Db) {
+    return (ipNum) => {
+      const { end, row } = indexSegmentAt(v6Db, ipNum + IPV4_MAPPED_START);
+      return { end: end === null ? null : end - IPV4_MAPPED_START, data: row };
+    };
+  }
+  const db = version === 4 ? v4Db : v6Db;
+  return (ipNum) => {
+    const { end, row } = indexSegmentAt(db, ipNum);
+    return { end, data: row };
+  };
+}
+
+// Ranges MaxMind IPv6 trees alias onto the IPv4 subtree. Walks and range
+// sweeps skip them, so IPv4 data is only reported for IPv4 addresses.
+const MAXMIND_IPV6_ALIASES = [
+  ['::', '::ffff:ffff'],
+  ['::ffff:0:0', '::ffff:ffff:ffff'],
+  ['2001::', '2001:0:ffff:ffff:ffff:ffff:ffff:ffff'],
+  ['2002::', '2002:ffff:ffff:ffff:ffff:ffff:ffff:ffff'],
+].map(([start, end]) => [ipv6ToNumber(start), ipv6ToNumber(end)]);
+
+const findMaxMindAlias = (ipNum) => MAXMIND_IPV6_ALIASES.find(([start, end]) => ipNum >= start && ipNum <= end);
+
+function maxmindCursor(reader, version) {
+  const bits = version === 4 ? 32 : 128;
+  return (ipNum) => {
+    if (!reader) return { end: null, data: null };
+    const alias = version === 6 && findMaxMindAlias(ipNum);
+    if (alias) return { end: alias[1], data: null };
+    const [data, prefixLength] = reader.getWithPrefixLength(numberToIP(ipNum, version));
+    const hostBits = BigInt(bits - prefixLength);
+    return { end: ((ipNum >> hostBits) << hostBits) + (1n << hostBits) - 1n, data };
+  };
+}
+
+// Addresses counts in IPv6 overflow Number, so large ones go out as strings
+function countToJSON(count) {
+  return count <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(count) : count.toString();
+}
+
+// --- Reverse (Secondary) Indexes ---
+// Map a key (ASN, country code, proxy type + country) to posting lists of
+// row numbers in a range index. Rebuilt with every database load.
+// REVERSE_INDEXES=false turns them off. BIN files are only indexed with
+// REVERSE_INDEXES=true: indexing reads every row of the file from disk on each
+// load, which gives up the fast startup BIN files are used for. Without it
+// the indexes fall back to MaxMind or CSV sources, if any.
+const REVERSE_INDEXES = process.env.REVERSE_INDEXES !== 'false';
+const REVERSE_INDEX_BIN = process.env.REVERSE_INDEXES === 'true';
+
+// Calls onNetwork(start, end, data) for every network with data in the tree
+function walkMaxMind(reader, version, onNetwork) {
+  const bits = version === 4 ? 32 : 128;
+  const maxAddress = (1n << BigInt(bits)) - 1n;
+  let position = 0n;
+  while (position <= maxAddress) {
+    const alias = version === 6 && findMaxMindAlias(position);
+    if (alias) {
+      position = alias[1] + 1n;
+      continue;
+    }
+    const [data, prefixLength] = reader.getWithPrefixLength(numberToIP(position, version));
+    const hostBits = BigInt(bits - prefixLength);
+    const end = ((position >> hostBits) << hostBits) + (1n << hostBits) - 1n;
+    if (data) onNetwork(position, end, data);
+    position = end + 1n;
+  }
+}
+
+function createPostings(source) {
+  const lists = new Map();
+  return {
+    add(key, index, row) {
+      if (key === null || key === undefined) return;
+      let entries = lists.get(key);
+      if (!entries) lists.set(key, (entries = []));
+      let entry = entries.find(e => e.index === index);
+      if (!entry) entries.push((entry = { index, rows: createUint32Builder(16) }));
+      entry.rows.push(row);
+    },
+    finish() {
+      const postings = new Map();
+      for (const [key, entries] of lists) {
+        postings.set(key, entries.map(({ index, rows }) => ({ index, rows: rows.finish() })));
+      }
+      return { source, postings };
+    },
+  };
+}
+
+// Indexes MaxMind networks by keyOf(data) into fresh IPv4 and IPv6 range indexes
+function indexMaxMind(postings, reader, keyOf) {
+  const versions = reader.metadata.ipVersion === 6 ? [4, 6] : [4];
+  for (const version of versions) {
+    const builder = createRangeIndexBuilder([], version === 4 ? 1 : 4);
+    const keys = [];
+    walkMaxMind(reader, version, (start, end, data) => {
+      builder.add(start, end, []);
+      keys.push(keyOf(data));
+    });
+    const index = builder.finish();
+    keys.forEach((key, row) => postings.add(key, index, row));
+  }
+}
+
+// Indexes CSV rows by the value of `column`. Mapped IPv4 rows of an IPv6
+// edition are skipped when the IPv4 edition is loaded as well.
+function indexCSV(postings, v4Db, v6Db, keyOf) {
+  for (const db of [v4Db, v6Db]) {
+    if (!db) continue;
+    const skipMapped = db === v6Db && Boolean(v4Db);
+    for (let row = 0; row < db.length; row++) {
+      if (skipMapped) {
+        const from = rangeStart(db, row);
+        if (from >= IPV4_MAPPED_START && from <= IPV4_MAPPED_END) continue;
+      }
+      postings.add(keyOf(db, row), db, row);
+    }
+  }
+}
+
+function csvValue(db, row, name) {
+  if (db.format === 'BIN') return db.value(row, name);
+  const column = db.columns.find(c => c.name === name);
+  return column ? column.strings[column.ids[row]] : null;
+}
+
+function buildReverseIndexes(databases, { bin = REVERSE_INDEX_BIN, logger = console } = {}) {
+  const started = performance.now();
+  const indexable = (db) => (db && (db.format !== 'BIN' || bin) ? db : null);
+  const proxyV4 = indexable(databases.ipProxyDatabase);
+  const proxyV6 = indexable(databases.ipProxyV6Database);
+  const locationV4 = indexable(databases.ipLocationDatabase);
+  const locationV6 = indexable(databases.ipLocationV6Database);
+
+  let asn;
+  const asnReader = databases.asnLookup || databases.ispLookup;
+  if (asnReader) {
+    asn = createPostings(databases.asnLookup ? 'MaxMind ASN' : 'MaxMind ISP');
+    indexMaxMind(asn, asnReader, data => data.autonomous_system_number);
+  } else if (proxyV4 || proxyV6) {
+    asn = createPostings('IP2Proxy');
+    indexCSV(asn, proxyV4, proxyV6, (db, row) => {
+      const value = csvValue(db, row, 'asn');
+      return value ? Number(value) : null;
+    });
+  } else {
+    asn = createPostings(null);
+  }
+
+  let country;
+  if (locationV4 || locationV6) {
+    country = createPostings('IP2Location');
+    indexCSV(country, locationV4, locationV6, (db, row) => csvValue(db, row, 'countryCode'));
+  } else if (databases.cityLookup || databases.countryLookup) {
+    country = createPostings('MaxMind');
+    indexMaxMind(country, databases.cityLookup || databases.countryLookup, data => data.country?.iso_code);
+  } else {
+    country = createPostings(null);
+  }
+
+  const proxy = createPostings(proxyV4 || proxyV6 ? 'IP2Proxy' : null);
+  indexCSV(proxy, proxyV4, proxyV6, (db, row) => {
+    const type = csvValue(db, row, 'proxyType');
+    const country = csvValue(db, row, 'countryCode');
+    return type || country ? `${type ?? ''}|${country ?? ''}` : null;
+  });
+
+  const indexes = { asn: asn.finish(), country: country.finish(), proxy: proxy.finish() };
+  logger.log(`✅ Reverse indexes built in ${Math.round(performance.now() - started)}ms (${indexes.asn.postings.size} ASNs, ${indexes.country.postings.size} countries)`);
+  return indexes;
+}
+
+// Yields the merged, address-ordered ranges of a set of posting lists as
+// { version, start, end }, joining ranges that touch.
+function* postingRanges(entries, version) {
+  const byIndex = new Map();
+  for (const { index, rows } of entries) {
+    byIndex.set(index, [...(byIndex.get(index) || []), rows]);
+  }
+  const indexes = [...byIndex.keys()].sort((a, b) => a.words - b.words);
+  let current = null;
+  for (const index of indexes) {
+    const lists = byIndex.get(index);
+    const rows = lists.length === 1 ? lists[0] : Uint32Array.from(lists.flatMap(list => [...list])).sort();
+    for (const row of rows) {
+      let start = rangeStart(index, row);
+      let end = rangeEnd(index, row);
+      let rangeVersion = index.words === 1 ? 4 : 6;
+      if (rangeVersion === 6 && start >= IPV4_MAPPED_START && end <= IPV4_MAPPED_END) {
+        rangeVersion = 4;
+        start -= IPV4_MAPPED_START;
+        end -= IPV4_MAPPED_START;
+      }
+      if (version && rangeVersion !== version) continue;
+      if (current && current.version === rangeVersion && current.end + 1n === start) {
+        current.end = end;
+        continue;
+      }
+      if (current) yield current;
+      current = { version: rangeVersion, start, end };
+    }
+  }
+  if (current) yield current;
+}
+
+// Returns one page of CIDRs for the given posting lists
+function getPrefixPage(entries, { version, offset, limit }) {
+  const prefixes = [];
+  let skipped = 0;
+  for (const range of postingRanges(entries, version)) {
+    for (const cidr of rangeToCIDRs(range.start, range.end, range.version)) {
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      if (prefixes.length === limit) return { prefixes, hasMore: true };
+      prefixes.push(cidr);
+    }
+  }
+  return { prefixes, hasMore: false };
+}
+
+async function loadCSVSource(source, dbPath, errors, logger) {
+  const { name } = source;
+  try {
+    if (fs.existsSync(dbPath)) {
+      const format = /\.bin$/i.test(dbPath) ? 'BIN' : 'CSV';
+      logger.log(`⏳ Loading ${name} ${format}...`);
+      const db = await loadIPDatabase(dbPath, source.product, { ipv6: source.ipv6, logger });
+      const { fromCache, loadTimeMs, bytes } = db.stats;
+      logger.log(`✅ ${name} ${format} loaded (${db.edition}): ${db.length} entries in ${loadTimeMs}ms (${(bytes / 1048576).toFixed(1)} MB${fromCache ? ', from cache' : ''})`);
+      return db;
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to load ${name} database:`, error.message);
+    errors.push({ database: name, error: error.message });
+  }
+  return null;
+}
+
+// Reads a one-entry-per-line list ('#' starts a comment) into a Set of the
+// keys returned by parseEntry; lines it cannot parse are skipped
+async function loadListSource(name, listPath, parseEntry, errors, logger) {
+  try {
+    if (fs.existsSync(listPath)) {
+      const entries = new Set();
+      const lines = (await fs.promises.readFile(listPath, 'utf8')).split(/\r?\n/);
+      for (const rawLine of lines) {
+        const line = rawLine.replace(/#.*/, '').trim();
+        const key = line ? parseEntry(line) : null;
+        if (key !== null) entries.add(key);
+      }
+      logger.log(`✅ ${name} loaded: ${entries.size} entries`);
+      return entries;
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to load ${name}:`, error.message);
+    errors.push({ database: name, error: error.message });
+  }
+  return null;
+}
+
+// Overlay entries come as a list of { cidr, ...fields } or a { cidr: fields } map
+// (JSON / YAML), or as CSV with a `cidr` column followed by one column per field
+function parseOverlayFile(overlayPath, text) {
+  if (/\.csv$/i.test(overlayPath)) {
+    const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim()).map(line => parseCSVRecord(line));
+    if (!header?.includes('cidr')) throw new Error('Overlay CSV needs a header row with a cidr column');
+    return rows.map(row => Object.fromEntries(header.map((name, i) => [name.trim(), row?.[i]])));
+  }
+  const parsed = /\.ya?ml$/i.test(overlayPath) ? YAML.parse(text) : JSON.parse(text);
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object') return Object.entries(parsed).map(([cidr, fields]) => ({ ...fields, cidr }));
+  throw new Error('Overlay must be a list of entries or a map of CIDR to fields');
+}
+
+// Returns the overlay ranges, most specific first so the first hit is the longest prefix
+async function loadOverlay(errors, logger) {
+  const overlayPath = OVERLAY_FILES.find(file => fs.existsSync(file));
+  if (!overlayPath) return null;
+  try {
+    const entries = parseOverlayFile(overlayPath, await fs.promises.readFile(overlayPath, 'utf8'));
+    const ranges = entries.map((entry, i) => {
+      const range = parseCIDR(String(entry?.cidr ?? '').trim());
+      if (!range) throw new Error(`Invalid CIDR in overlay entry ${i + 1}`);
+      const fields = {};
+      for (const field of MERGED_FIELDS) {
+        const value = entry[field];
+        if (hasValue(value)) fields[field] = field === 'asn' || field === 'latitude' || field === 'longitude' ? toNumber(value) : value;
+      }
+      return { ...range, fields };
+    });
+    ranges.sort((a, b) => b.prefix - a.prefix);
+    logger.log(`✅ Overlay loaded: ${ranges.length} ranges from ${path.basename(overlayPath)}`);
+    return { path: overlayPath, ranges };
+  } catch (error) {
+    logger.error('❌ Failed to load overlay:', error.message);
+    errors.push({ database: 'Overlay', error: error.message });
+    return null;
+  }
+}
+
+// Position of a databaseType in the `types` of a MAXMIND_DATABASES entry, or -1
+function maxmindTypeRank(database, databaseType) {
+  return database.types.findIndex(type => databaseType === type || databaseType.startsWith(`${type}-`));
+}
+
+// Opens every .mmdb file in data/ and files it under the reader its
+// databaseType belongs to. Of several files for one reader the preferred
+// type wins, then the newest build. Returns { key: { reader, path, rank } }.
+async function loadMaxMind(errors, logger) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dataDir).filter(file => file.endsWith('.mmdb') && !file.startsWith('.')).sort();
+  } catch {
+    // No data directory yet
+  }
+  const found = {};
+  for (const file of files) {
+    const dbPath = join(dataDir, file);
+    let reader;
+    try {
+      reader = await maxmind.open(dbPath);
+    } catch (error) {
+      const name = MAXMIND_DATABASES.find(database => database.file === file)?.name ?? file;
+      logger.error(`❌ Failed to load ${name} database:`, error.message);
+      errors.push({ database: name, error: error.message });
+      continue;
+    }
+    const { databaseType, buildEpoch } = reader.metadata;
+    const database = MAXMIND_DATABASES.find(entry => maxmindTypeRank(entry, databaseType) >= 0);
+    if (!database) {
+      logger.warn(`⚠️ Ignoring ${file}: unsupported MaxMind database type "${databaseType}"`);
+      continue;
+    }
+    const rank = maxmindTypeRank(database, databaseType);
+    const current = found[database.key];
+    if (!current || rank < current.rank || (rank === current.rank && buildEpoch > current.reader.metadata.buildEpoch)) {
+      found[database.key] = { reader, path: dbPath, rank };
+    }
+  }
+  for (const database of MAXMIND_DATABASES) {
+    const entry = found[database.key];
+    if (entry) logger.log(`✅ ${database.name} database loaded (${path.basename(entry.path)}, ${entry.reader.metadata.databaseType})`);
+  }
+  return found;
+}
+
+// --- Loading Databases ---
+// What the applied set was loaded from, for /info and readiness
+let databaseSources = [];
+let databaseErrors = [];
+
+// Lookup sources; the overlay and the risk lists alone cannot answer queries
+const LOOKUP_SOURCES = ['MaxMind City', 'MaxMind Country', 'MaxMind ASN', 'MaxMind ISP', 'IP2Proxy', 'IP2Proxy IPv6', 'IP2Location', 'IP2Location IPv6'];
+
+// Describes one source of a loaded set: its file, whether it loaded, its size
+// in entries, its build date (MMDB metadata, BIN header) and the load error if any.
+// CSV index details stay in /info's `indexes`.
+function describeSource(name, filePath, db, errors) {
+  const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+  const source = { name, path: filePath, present: Boolean(stat), loaded: Boolean(db) };
+  if (stat) {
+    source.fileSize = stat.size;
+    source.modifiedAt = stat.mtime.toISOString();
+  }
+  if (db?.metadata) {
+    source.databaseType = db.metadata.databaseType;
+    source.buildDate = db.metadata.buildEpoch.toISOString();
+    source.nodeCount = db.metadata.nodeCount;
+  } else if (db instanceof Set) {
+    source.entries = db.size;
+  } else if (db?.ranges) {
+    source.entries = db.ranges.length;
+  } else if (db) {
+    source.format = db.format;
+    source.edition = db.edition;
+    source.entries = db.length;
+    if (db.buildDate) source.buildDate = db.buildDate.toISOString();
+  }
+  const error = errors.find(entry => entry.database === name);
+  if (error) source.error = error.error;
+  return source;
+}
+
+// Loads every database into a fresh set without touching the live one.
+// Callers that never query prefixes can skip the reverse indexes. Progress
+// and warnings go to `logger`, which takes console's log/warn/error.
+async function loadDatabases({ reverse = REVERSE_INDEXES, logger = console } = {}) {
+  const started = performance.now();
+  const errors = [];
+  const databases = {};
+
+  // Load MaxMind
+  const maxmindFiles = await loadMaxMind(errors, logger);
+  for (const { key } of MAXMIND_DATABASES) databases[key] = maxmindFiles[key]?.reader ?? null;
+
+  // Load IP2Proxy and IP2Location
+  const csvPaths = {};
+  for (const source of CSV_SOURCES) {
+    csvPaths[source.name] = findCSVDatabase(source);
+    databases[source.key] = await loadCSVSource(source, csvPaths[source.name], errors, logger);
+  }
+  // An IPv6 BIN file carries the IPv4 table as well, which stands in for a
+  // missing IPv4 file of the same product
+  for (const source of CSV_SOURCES.filter(entry => !entry.ipv6)) {
+    const v6Source = CSV_SOURCES.find(entry => entry.ipv6 && entry.product === source.product);
+    const v6Db = databases[v6Source.key];
+    if (databases[source.key] || fs.existsSync(csvPaths[source.name]) || v6Db?.format !== 'BIN') continue;
+    if (readBinHeader(v6Db.path).ipv4.count === 0) continue;
+    csvPaths[source.name] = v6Db.path;
+    databases[source.key] = await loadCSVSource(source, v6Db.path, errors, logger);
+  }
+
+  databases.overlay = await loadOverlay(errors, logger);
+
+  // Load risk scoring lists
+  databases.torExitNodes = await loadListSource('Tor exit list', torExitListPath, parseTorExitEntry, errors, logger);
+  databases.datacenterAsns = await loadListSource('Datacenter ASN list', datacenterAsnListPath, parseAsnEntry, errors, logger);
+
+  databases.reverseIndexes = null;
+  if (reverse) {
+    try {
+      databases.reverseIndexes = buildReverseIndexes(databases, { logger });
+    } catch (error) {
+      logger.error('❌ Failed to build reverse indexes:', error.message);
+      errors.push({ database: 'Reverse indexes', error: error.message });
+    }
+  }
+
+  databases.sources = [
+    ...MAXMIND_DATABASES.map(database =>
+      describeSource(database.name, maxmindFiles[database.key]?.path ?? join(dataDir, database.file), databases[database.key], errors)),
+    ...CSV_SOURCES.map(source => describeSource(source.name, csvPaths[source.name], databases[source.key], errors)),
+    describeSource('Overlay', databases.overlay?.path || OVERLAY_FILES[0], databases.overlay, errors),
+    describeSource('Tor exit list', torExitListPath, databases.torExitNodes, errors),
+    describeSource('Datacenter ASN list', datacenterAsnListPath, databases.datacenterAsns, errors),
+  ];
+  databases.errors = errors;
+
+  return { databases, errors, durationMs: Math.round(performance.now() - started) };
+}
+
+// Closes the BIN files of a set that is not (or no longer) applied
+function closeDatabases(databases) {
+  for (const { key } of CSV_SOURCES) {
+    if (databases[key]?.format === 'BIN') databases[key].close();
+  }
+}
+
+// Swaps in a loaded set in one synchronous step, so no lookup sees a mix.
+// BIN files of the replaced set are closed.
+function applyDatabases(databases) {
+  const replaced = [ipProxyDatabase, ipProxyV6Database, ipLocationDatabase, ipLocationV6Database]
+    .filter(db => db?.format === 'BIN' && !CSV_SOURCES.some(({ key }) => databases[key] === db));
+  cityLookup = databases.cityLookup;
+  countryLookup = databases.countryLookup;
+  asnLookup = databases.asnLookup;
+  ispLookup = databases.ispLookup;
+  anonymousIpLookup = databases.anonymousIpLookup;
+  connectionTypeLookup = databases.connectionTypeLookup;
+  domainLookup = databases.domainLookup;
+  ipProxyDatabase = databases.ipProxyDatabase;
+  ipProxyV6Database = databases.ipProxyV6Database;
+  ipLocationDatabase = databases.ipLocationDatabase;
+  ipLocationV6Database = databases.ipLocationV6Database;
+  reverseIndexes = databases.reverseIndexes;
+  overlay = databases.overlay;
+  torExitNodes = databases.torExitNodes;
+  datacenterAsns = databases.datacenterAsns;
+  databaseSources = databases.sources;
+  databaseErrors = databases.errors;
+  for (const db of replaced) db.close();
+}
+
+// --- IP Lookup Logic ---
+// Every source contributes candidate values per field; for each field the
+// first source in precedence order that has a value wins. The order is set
+// with SOURCE_PRECEDENCE and can be overridden per field with FIELD_PRECEDENCE
+// (JSON, e.g. {"usageType":["IP2Proxy","IP2Location"]}). Sources left out of
+// a list are still consulted, after the listed ones; the overlay comes first
+// unless it is listed explicitly.
+const SOURCES = ['Overlay', 'MaxMind', 'IP2Proxy', 'IP2Location'];
+
+function parsePrecedence(list) {
+  const order = list.map(s => s.trim()).filter(s => SOURCES.includes(s));
+  if (!order.includes('Overlay')) order.unshift('Overlay');
+  return [...new Set([...order, ...SOURCES])];
+}
+
+const SOURCE_PRECEDENCE = parsePrecedence((process.env.SOURCE_PRECEDENCE || SOURCES.join(',')).split(','));
+
+// IANA special-purpose blocks, labelled instead of being reported as not found
+const SPECIAL_PURPOSE_RANGES = [
+  ['0.0.0.0/8', 'unspecified', 'This network', 'RFC 791'],
+  ['10.0.0.0/8', 'private', 'Private-Use', 'RFC 1918'],
+  ['100.64.0.0/10', 'cgnat', 'Shared Address Space (CGNAT)', 'RFC 6598'],
+  ['127.0.0.0/8', 'loopback', 'Loopback', 'RFC 1122'],
+  ['169.254.0.0/16', 'linkLocal', 'Link Local', 'RFC 3927'],
+  ['172.16.0.0/12', 'private', 'Private-Use', 'RFC 1918'],
+  ['192.0.0.0/24', 'reserved', 'IETF Protocol Assignments', 'RFC 6890'],
+  ['192.0.2.0/24', 'documentation', 'Documentation (TEST-NET-1)', 'RFC 5737'],
+  ['192.88.99.0/24', 'reserved', '6to4 Relay Anycast', 'RFC 7526'],
+  ['192.168.0.0/16', 'private', 'Private-Use', 'RFC 1918'],
+  ['198.18.0.0/15', 'benchmarking', 'Benchmarking', 'RFC 2544'],
+  ['198.51.100.0/24', 'documentation', 'Documentation (TEST-NET-2)', 'RFC 5737'],
+  ['203.0.113.0/24', 'documentation', 'Documentation (TEST-NET-3)', 'RFC 5737'],
+  ['224.0.0.0/4', 'multicast', 'Multicast', 'RFC 5771'],
+  ['240.0.0.0/4', 'reserved', 'Reserved', 'RFC 1112'],
+  ['255.255.255.255/32', 'broadcast', 'Limited Broadcast', 'RFC 919'],
+  ['::/128', 'unspecified', 'Unspecified Address', 'RFC 4291'],
+  ['::1/128', 'loopback', 'Loopback Address', 'RFC 4291'],
+  ['64:ff9b::/96', 'translation', 'IPv4-IPv6 Translation', 'RFC 6052'],
+  ['100::/64', 'reserved', 'Discard-Only Address Block', 'RFC 6666'],
+  ['2001:db8::/32', 'documentation', 'Documentation', 'RFC 3849'],
+  ['fc00::/7', 'private', 'Unique-Local', 'RFC 4193'],
+  ['fe80::/10', 'linkLocal', 'Link-Local Unicast', 'RFC 4291'],
+  ['ff00::/8', 'multicast', 'Multicast', 'RFC 4291'],
+].map(([cidr, type, name, reference]) => ({ ...parseCIDR(cidr), type, name, reference }))
+  .sort((a, b) => b.prefix - a.prefix);
+
+// Ranges containing a single address; lists are kept most specific first
+function rangesContaining(ranges, ip) {
+  const host = parseCIDR(ip);
+  if (!host || host.prefix !== host.bits) return [];
+  return ranges.filter(range => range.version === host.version && host.start >= range.start && host.start <= range.end);
+}
+
+// Reads a JSON setting from the environment. Invalid JSON, or a value that
+// fails `isValid`, is reported and the defaults are used instead, so a typo
+// cannot keep the server or the CLI from starting.
+function readJSONSetting(name, fallback, isValid, expected) {
+  const text = process.env[name];
+  if (!text) return fallback;
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    console.error(`❌ Ignoring ${name}, using the defaults: invalid JSON (${error.message})`);
+    return fallback;
+  }
+  if (isValid(value)) return value;
+  console.error(`❌ Ignoring ${name}, using the defaults: expected ${expected}`);
+  return fallback;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const FIELD_PRECEDENCE = Object.fromEntries(
+  Object.entries(readJSONSetting(
+    'FIELD_PRECEDENCE',
+    {},
+    value => isPlainObject(value) && Object.values(value).every(list => Array.isArray(list) && list.every(s => typeof s === 'string')),
+    'an object mapping field names to lists of source names'
+  )).map(([field, list]) => [field, parsePrecedence(list)])
+);
+
+const MERGED_FIELDS = [
+  'country', 'countryCode', 'region', 'regionCode', 'city', 'postalCode', 'latitude', 'longitude', 'timezone',
+  'isp', 'organization', 'asn', 'asName', 'proxyType', 'domain', 'usageType', 'lastSeen', 'threat', 'provider',
+  'zipCode', 'timeZone', 'netspeed', 'iddCode', 'areaCode', 'weatherStationCode', 'weatherStationName',
+  'mcc', 'mnc', 'mobileBrand', 'elevation', 'district', 'addressType', 'category', 'fraudScore',
+  'connectionType', 'anonymous'
+];
+
+const COORDINATE_TOLERANCE = 0.5;
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '' && !Number.isNaN(value);
+}
+
+// Missing or non-numeric CSV values become undefined instead of NaN
+function toNumber(value) {
+  const number = hasValue(value) ? Number(value) : NaN;
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Loose comparison so "GOOGLE" and "Google LLC" or "Iran" and
+// "Iran, Islamic Republic of" are not reported as conflicts
+function valuesAgree(field, a, b) {
+  if (field === 'latitude' || field === 'longitude') return Math.abs(a - b) <= COORDINATE_TOLERANCE;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  const normalize = (value) => String(value).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const na = normalize(a);
+  const nb = normalize(b);
+  return na === nb || na.includes(nb) || nb.includes(na);
+}
+
+// Addresses an MMDB cannot represent (IPv6 in an IPv4-only file) have no data in it
+function maxmindGet(reader, ip) {
+  try {
+    return reader?.get(ip) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// Copies the fields that have a value, leaving the others as they are
+function assignValues(target, values) {
+  for (const [field, value] of Object.entries(values)) {
+    if (hasValue(value)) target[field] = value;
+  }
+  return target;
+}
+
+// Response fields for a CSV record. Columns are named after their fields
+// except for these; the columns an edition lacks are simply absent.
+const CSV_FIELD_NAMES = { countryName: 'country', regionName: 'region', cityName: 'city', as: 'asName' };
+const NUMERIC_CSV_COLUMNS = ['latitude', 'longitude', 'asn', 'fraudScore'];
+
+function csvFields(record) {
+  const fields = {};
+  for (const [column, value] of Object.entries(record)) {
+    fields[CSV_FIELD_NAMES[column] || column] = NUMERIC_CSV_COLUMNS.includes(column) ? toNumber(value) : value;
+  }
+  return fields;
+}
+
+// The overlay is matched on the address itself; the databases on `dataIp`,
+// which differs for 6to4 and Teredo addresses (see buildIPInfo)
+function getSourceCandidates(ip, dataIp = ip) {
+  const candidates = {};
+  const labels = [];
+
+  // Try the overlay; nested ranges stack, the more specific entry winning per field
+  const overlayRanges = overlay ? rangesContaining(overlay.ranges, ip) : [];
+  if (overlayRanges.length > 0) {
+    candidates.Overlay = Object.assign({}, ...overlayRanges.reverse().map(range => range.fields));
+    labels.push('Overlay');
+  }
+
+  // Try MaxMind; the country database stands in for a missing city database.
+  // Each database only adds the fields it has, so the ISP database's names
+  // win over the ASN database's organization.
+  const geoData = maxmindGet(cityLookup || countryLookup, dataIp);
+  const asnData = maxmindGet(asnLookup, dataIp);
+  const ispData = maxmindGet(ispLookup, dataIp);
+  const anonymousData = maxmindGet(anonymousIpLookup, dataIp);
+  const connectionData = maxmindGet(connectionTypeLookup, dataIp);
+  const domainData = maxmindGet(domainLookup, dataIp);
+  if (geoData || asnData || ispData || anonymousData || connectionData || domainData) {
+    const fields = {};
+    const label = (name) => labels.push(geoData ? name : `MaxMind ${name}`);
+    if (geoData) {
+      // GeoIP2 Enterprise records also carry ISP, connection type and domain traits
+      const traits = geoData.traits || {};
+      assignValues(fields, {
+        country: geoData.country?.names?.en,
+        countryCode: geoData.country?.iso_code,
+        region: geoData.subdivisions?.[0]?.names?.en,
+        regionCode: geoData.subdivisions?.[0]?.iso_code,
+        city: geoData.city?.names?.en,
+        postalCode: geoData.postal?.code,
+        latitude: geoData.location?.latitude,
+        longitude: geoData.location?.longitude,
+        timezone: geoData.location?.time_zone,
+        isp: traits.isp,
+        organization: traits.organization,
+        asn: traits.autonomous_system_number,
+        connectionType: traits.connection_type,
+        domain: traits.domain,
+      });
+      labels.push('MaxMind');
+    }
+    if (asnData) {
+      assignValues(fields, {
+        isp: fields.isp ?? asnData.autonomous_system_organization,
+        organization: fields.organization ?? asnData.autonomous_system_organization,
+        asn: asnData.autonomous_system_number,
+        asName: `AS${asnData.autonomous_system_number} ${asnData.autonomous_system_organization || ''}`,
+      });
+      labels.push(geoData ? 'AS' : 'MaxMind ASN');
+    }
+    if (ispData) {
+      assignValues(fields, {
+        isp: ispData.isp,
+        organization: ispData.organization,
+        asn: ispData.autonomous_system_number,
+        asName: ispData.autonomous_system_number && `AS${ispData.autonomous_system_number} ${ispData.autonomous_system_organization || ''}`,
+        mcc: ispData.mobile_country_code,
+        mnc: ispData.mobile_network_code,
+      });
+      label('ISP');
+    }
+    if (anonymousData) {
+      fields.anonymous = {
+        isAnonymous: Boolean(anonymousData.is_anonymous),
+        isAnonymousVpn: Boolean(anonymousData.is_anonymous_vpn),
+        isHostingProvider: Boolean(anonymousData.is_hosting_provider),
+        isPublicProxy: Boolean(anonymousData.is_public_proxy),
+        isResidentialProxy: Boolean(anonymousData.is_residential_proxy),
+        isTorExitNode: Boolean(anonymousData.is_tor_exit_node),
+      };
+      label('Anonymous IP');
+    }
+    if (connectionData) {
+      assignValues(fields, { connectionType: connectionData.connection_type });
+      label('Connection Type');
+    }
+    if (domainData) {
+      assignValues(fields, { domain: domainData.domain });
+      label('Domain');
+    }
+    candidates.MaxMind = fields;
+  }
+
+  // Try IP2Location/Proxy (IPv4 editions, then IPv6 editions)
+  const proxyRecord = lookupCSV(dataIp, ipProxyDatabase, ipProxyV6Database);
+  if (proxyRecord) {
+    labels.push('IP2Proxy');
+    candidates.IP2Proxy = csvFields(proxyRecord);
+  }
+
+  const locationRecord = lookupCSV(dataIp, ipLocationDatabase, ipLocationV6Database);
+  if (locationRecord) {
+    labels.push('IP2Location');
+    candidates.IP2Location = csvFields(locationRecord);
+  }
+
+  return { candidates, labels };
+}
+
+// --- Risk Scoring ---
+// The security block turns the raw IP2Proxy codes, the MaxMind Anonymous-IP
+// flags and connection type, the Tor exit list and the datacenter ASN list
+// into flags and a 0-100 score (the sum of the weights of
+// the matched signals, capped at 100). Weights and the code → signal mapping
+// can be overridden with RISK_RULES (JSON, e.g. {"weights":{"hosting":10}}).
+const DEFAULT_RISK_RULES = {
+  weights: { tor: 80, vpn: 60, proxy: 70, hosting: 30, threat: 50, mobile: 0 },
+  proxyTypes: { tor: ['TOR'], vpn: ['VPN', 'CPN'], proxy: ['PUB', 'WEB', 'RES', 'EPN'], hosting: ['DCH'] },
+  usageTypes: { hosting: ['DCH', 'CDN'], mobile: ['MOB'] },
+  connectionTypes: { mobile: ['Cellular'] },
+};
+
+function parseRiskRules(custom) {
+  return Object.fromEntries(Object.entries(DEFAULT_RISK_RULES).map(([key, defaults]) => [key, { ...defaults, ...custom[key] }]));
+}
+
+// Weights are numbers and every other rule is a list of codes; unknown keys are ignored
+function isValidRiskRules(value) {
+  if (!isPlainObject(value)) return false;
+  return Object.entries(value).every(([key, rules]) => {
+    if (!DEFAULT_RISK_RULES[key]) return true;
+    if (!isPlainObject(rules)) return false;
+    return Object.values(rules).every(rule => (key === 'weights'
+      ? Number.isFinite(rule)
+      : Array.isArray(rule) && rule.every(code => typeof code === 'string')));
+  });
+}
+
+const RISK_RULES = parseRiskRules(readJSONSetting('RISK_RULES', {}, isValidRiskRules, 'an object of weights and code lists like the defaults'));
+
+// Tor's bulk exit list is bare addresses; the exit-addresses format prefixes them with "ExitAddress"
+function parseTorExitEntry(line) {
+  const [first, second] = line.split(/\s+/);
+  const range = parseCIDR(first === 'ExitAddress' ? second || '' : first);
+  return range ? `${range.version}:${range.start}` : null;
+}
+
+// Accepts "13335", "AS13335" or CSV rows that start with the ASN
+function parseAsnEntry(line) {
+  const match = /^(?:AS)?(\d+)\b/i.exec(line);
+  return match ? Number(match[1]) : null;
+}
+
+// IP2Proxy uses "-" for an empty column; usage types can be compound ("MOB/ISP")
+function proxyCodes(value) {
+  if (!hasValue(value) || value === '-') return [];
+  return String(value).toUpperCase().split('/');
+}
+
+function getSecurityInfo(ip, info) {
+  const proxyType = proxyCodes(info.proxyType);
+  const usageType = proxyCodes(info.usageType);
+  const anonymous = info.anonymous || {};
+  const matches = (codes, list = []) => codes.some(code => list.includes(code));
+  const range = parseCIDR(ip);
+
+  const signals = {
+    tor: matches(proxyType, RISK_RULES.proxyTypes.tor) || Boolean(range && torExitNodes?.has(`${range.version}:${range.start}`))
+      || Boolean(anonymous.isTorExitNode),
+    vpn: matches(proxyType, RISK_RULES.proxyTypes.vpn) || Boolean(anonymous.isAnonymousVpn),
+    proxy: matches(proxyType, RISK_RULES.proxyTypes.proxy) || Boolean(anonymous.isPublicProxy || anonymous.isResidentialProxy),
+    hosting: matches(proxyType, RISK_RULES.proxyTypes.hosting) || matches(usageType, RISK_RULES.usageTypes.hosting)
+      || Boolean(datacenterAsns?.has(info.asn)) || Boolean(anonymous.isHostingProvider),
+    mobile: matches(usageType, RISK_RULES.usageTypes.mobile) || matches([info.connectionType], RISK_RULES.connectionTypes.mobile),
+    threat: proxyCodes(info.threat).length > 0,
+  };
+  const reasons = Object.keys(signals).filter(signal => signals[signal]);
+  const score = reasons.reduce((sum, signal) => sum + (Number(RISK_RULES.weights[signal]) || 0), 0);
+
+  return {
+    isVpn: signals.vpn,
+    isTor: signals.tor,
+    isProxy: signals.proxy,
+    isHosting: signals.hosting,
+    isMobile: signals.mobile,
+    riskScore: Math.min(Math.max(Math.round(score), 0), 100),
+    reasons,
+  };
+}
+
+// --- Lookup Results ---
+// Failed lookups are RFC 9457 problem details, so the server can send them
+// as they are and batch items carry the same fields. `error` keeps the
+// message where clients of the older { error } bodies look for it.
+const LOOKUP_PROBLEMS = {
+  invalid: { type: '/problems/invalid-ip', title: 'Invalid IP address', status: 400 },
+  notFound: { type: '/problems/ip-not-found', title: 'IP address not found in databases', status: 404 },
+  reserved: { type: '/problems/reserved-ip', title: 'Reserved IP address', status: 422 },
+};
+
+function lookupProblem(kind, ip, detail, extensions = {}) {
+  const { type, title, status } = LOOKUP_PROBLEMS[kind];
+  return { type, title, status, detail, ip, ...extensions, error: title };
+}
+
+function buildIPInfo(input, { explain = false } = {}) {
+  const parsed = parseIP(input);
+  if (!parsed) {
+    return lookupProblem('invalid', input, `"${input}" is not a valid IPv4 or IPv6 address`);
+  }
+
+  const { ip, version, embedded } = parsed;
+  const result = { ip };
+  result.ipType = version === 6 ? 'IPv6' : 'IPv4';
+  if (version === 6) result.ipv6 = ip; else result.ipv4 = ip;
+  if (embedded) result.embedded = embedded;
+
+  // Tunnel addresses are looked up by the IPv4 address they carry, as the
+  // MaxMind databases do through their IPv6 aliases
+  const dataIp = embedded?.ipv4 ?? ip;
+  const { candidates, labels } = getSourceCandidates(ip, dataIp);
+  if (labels.length > 0) result.source = labels.join(' + ');
+
+  const explained = {};
+  for (const field of MERGED_FIELDS) {
+    const order = FIELD_PRECEDENCE[field] || SOURCE_PRECEDENCE;
+    const values = {};
+    for (const source of order) {
+      const value = candidates[source]?.[field];
+      if (hasValue(value)) values[source] = value;
+    }
+    const [chosenSource] = Object.keys(values);
+    if (!chosenSource) continue;
+    result[field] = values[chosenSource];
+    if (explain) {
+      const list = Object.values(values);
+      explained[field] = {
+        value: values[chosenSource],
+        source: chosenSource,
+        precedence: order,
+        values,
+        conflict: list.some(value => !valuesAgree(field, list[0], value)),
+      };
+    }
+  }
+
+  const [special] = rangesContaining(SPECIAL_PURPOSE_RANGES, ip);
+  if (special) {
+    result.specialPurpose = { type: special.type, name: special.name, reference: special.reference };
+  }
+
+  if (!result.country && !result.isp && !candidates.Overlay) {
+    if (special) {
+      return lookupProblem('reserved', ip, `${ip} is in the ${special.name} block (${special.reference})`, { specialPurpose: result.specialPurpose });
+    }
+    return lookupProblem('notFound', ip, `No database has data for ${ip}`);
+  }
+
+  result.security = getSecurityInfo(dataIp, result);
+  result.attribution = 'Contains data from MaxMind GeoLite2, IP2Location LITE, and IP2Proxy LITE.';
+  if (explain) {
+    result.explain = {
+      precedence: SOURCE_PRECEDENCE,
+      fields: explained,
+      conflicts: Object.keys(explained).filter(field => explained[field].conflict),
+    };
+  }
+  return result;
+}
+
+// Named field sets that ?fields= accepts alongside individual field names
+const FIELD_PROFILES = {
+  geo: ['ip', 'country', 'countryCode', 'region', 'regionCode', 'city', 'district', 'postalCode', 'zipCode', 'latitude', 'longitude', 'timezone', 'timeZone'],
+  network: ['ip', 'isp', 'organization', 'asn', 'asName', 'domain', 'usageType', 'addressType', 'category', 'connectionType', 'netspeed', 'mcc', 'mnc', 'mobileBrand'],
+  security: ['ip', 'proxyType', 'usageType', 'threat', 'provider', 'lastSeen', 'fraudScore', 'anonymous', 'security'],
+};
+
+const INFO_FIELDS = ['ip', 'ipType', 'ipv4', 'ipv6', 'embedded', 'source', ...MERGED_FIELDS, 'specialPurpose', 'security', 'attribution', 'hostnames', 'explain'];
+
+// Parses a ?fields= list such as "geo,asn". An empty list or `full` selects
+// everything (fields is null); names that are neither fields nor profiles are
+// returned in `unknown`.
+function parseFields(value) {
+  const names = String(value ?? '').split(',').map(name => name.trim()).filter(Boolean);
+  if (!names.length || names.includes('full')) return { fields: null, unknown: [] };
+  const fields = new Set();
+  const unknown = [];
+  for (const name of names) {
+    if (FIELD_PROFILES[name]) FIELD_PROFILES[name].forEach(field => fields.add(field));
+    else if (INFO_FIELDS.includes(name)) fields.add(name);
+    else unknown.push(name);
+  }
+  return { fields, unknown };
+}
+
+// Keeps only the selected fields, and the provenance of those alone; error
+// results are passed through whole
+function selectFields(info, fields) {
+  if (info.error) return { ...info };
+  const selected = Object.fromEntries(Object.entries(info).filter(([field]) => fields.has(field)));
+  if (selected.explain) {
+    const { explain } = selected;
+    selected.explain = {
+      ...explain,
+      fields: Object.fromEntries(Object.entries(explain.fields).filter(([field]) => fields.has(field))),
+      conflicts: explain.conflicts.filter(field => fields.has(field)),
+    };
+  }
+  return selected;
+}
+
+// --- Range Lookup Logic ---
+function summarizeSegment(city, asn, proxy, location) {
+  return {
+    countryCode: city?.country?.iso_code || proxy?.countryCode || location?.countryCode || null,
+    country: city?.country?.names?.en || proxy?.countryName || location?.countryName || null,
+    asn: asn?.autonomous_system_number ?? toNumber(proxy?.asn ?? location?.asn) ?? null,
+    isp: asn?.autonomous_system_organization || proxy?.isp || location?.isp || null,
+    isProxy: Boolean(proxy),
+    proxyType: proxy?.proxyType || null,
+    usageType: proxy?.usageType || location?.usageType || null,
+  };
+}
+
+// Sweeps the query range, cutting it wherever any source changes, and
+// merges neighbouring sub-ranges that end up with the same summary.
+function getRangeInfo(range, { limit, from }) {
+  const { version } = range;
+  const cursors = [
+    maxmindCursor(cityLookup || countryLookup, version),
+    maxmindCursor(asnLookup || ispLookup, version),
+    csvCursor(ipProxyDatabase, ipProxyV6Database, version),
+    csvCursor(ipLocationDatabase, ipLocationV6Database, version),
+  ];
+  const subRanges = [];
+  const countries = {};
+  const asns = {};
+  let matched = 0n;
+  let proxied = 0n;
+  let position = from ?? range.start;
+  let previous = null;
+
+  while (position <= range.end && (subRanges.length < limit || previous)) {
+    const segments = cursors.map(cursor => cursor(position));
+    let end = range.end;
+    for (const segment of segments) {
+      if (segment.end !== null && segment.end < end) end = segment.end;
+    }
+    if (segments.some(segment => segment.data)) {
+      const summary = summarizeSegment(...segments.map(segment => segment.data));
+      const key = JSON.stringify(summary);
+      if (previous && previous.key === key && previous.end + 1n === position) {
+        previous.end = end;
+      } else if (subRanges.length < limit) {
+        previous = { key, start: position, end, summary };
+        subRanges.push(previous);
+      } else {
+        break;
+      }
+    } else {
+      previous = null;
+    }
+    position = end + 1n;
+  }
+
+  const results = subRanges.map(({ start, end, summary }) => {
+    const addresses = end - start + 1n;
+    matched += addresses;
+    if (summary.isProxy) proxied += addresses;
+    if (summary.countryCode) countries[summary.countryCode] = (countries[summary.countryCode] || 0n) + addresses;
+    if (summary.asn) asns[summary.asn] = (asns[summary.asn] || 0n) + addresses;
+    return {
+      start: numberToIP(start, version),
+      end: numberToIP(end, version),
+      cidrs: rangeToCIDRs(start, end, version),
+      addresses: countToJSON(addresses),
+      ...summary,
+    };
+  });
+  const truncated = position <= range.end;
+  const countsToJSON = (counts) => Object.fromEntries(Object.entries(counts).map(([k, v]) => [k, countToJSON(v)]));
+
+  return {
+    cidr: `${numberToIP(range.start, version)}/${range.prefix}`,
+    ipType: version === 4 ? 'IPv4' : 'IPv6',
+    start: numberToIP(range.start, version),
+    end: numberToIP(range.end, version),
+    addresses: countToJSON(range.end - range.start + 1n),
+    subRanges: results,
+    summary: {
+      subRanges: results.length,
+      matchedAddresses: countToJSON(matched),
+      proxyAddresses: countToJSON(proxied),
+      countries: countsToJSON(countries),
+      asns: countsToJSON(asns),
+    },
+    truncated,
+    nextAddress: truncated ? numberToIP(position, version) : null,
+  };
+}
+
+export {
+  dataDir,
+  cityLookup,
+  countryLookup,
+  asnLookup,
+  ispLookup,
+  anonymousIpLookup,
+  connectionTypeLookup,
+  domainLookup,
+  ipProxyDatabase,
+  ipLocationDatabase,
+  ipProxyV6Database,
+  ipLocationV6Database,
+  reverseIndexes,
+  OVERLAY_FILES,
+  numberToIP,
+  parseCIDR,
+  parseIP,
+  parseCSVRecord,
+  lookupProblem,
+  getPrefixPage,
+  databaseSources,
+  databaseErrors,
+  LOOKUP_SOURCES,
+  loadDatabases,
+  applyDatabases,
+  closeDatabases,
+  buildIPInfo,
+  FIELD_PROFILES,
+  INFO_FIELDS,
+  parseFields,
+  selectFields,
+  getRangeInfo,
+};
@@ -5,6 +5,9 @@ const API_BASE = window.location.hostname === 'localhost' || window.location.hos
   ? 'http://localhost:3001'
   : '';
 
+// Versioned API prefix; the bare paths are deprecated aliases
+const API_PATH = '/api/v1';
+
 // Get current backend URL for API documentation
 const getBackendUrl = () => {
   return API_BASE || window.location.origin;
@@ -21,12 +24,17 @@ function App() {
     setLoading(true);
     setError(null);
     try {
-      const url = ip ? `${API_BASE}/ip/${ip}` : `${API_BASE}/ip`;
+      // Anything that is not an IP address is resolved as a hostname
+      const isHostname = ip && !ip.includes(':') && !/^[\d.]+$/.test(ip);
+      const url = !ip ? `${API_BASE}${API_PATH}/ip` : isHostname ? `${API_BASE}${API_PATH}/host/${encodeURIComponent(ip)}` : `${API_BASE}${API_PATH}/ip/${ip}`;
       const response = await fetch(url);
-      const data = await response.json();
+      let data = await response.json();
+      if (isHostname && data.results) {
+        data = { ...(data.results.find(result => !result.error) || data.results[0]), host: data.host, addresses: data.addresses };
+      }
 
       if (data.error) {
-        setError(data.error);
+        setError(data.detail || data.error);
         setIpData(null);
       } else {
         setIpData(data);
@@ -119,7 +127,7 @@ function App() {
             <input
               type="text"
               className="search-input"
-              placeholder="آدرس IP را وارد کنید (مثال: 8.8.8.8)"
+              placeholder="آدرس IP یا دامنه را وارد کنید (مثال: 8.8.8.8 یا google.com)"
               value={searchIp}
               onChange={(e) => setSearchIp(e.target.value)}
               dir="ltr"
@@ -163,6 +171,12 @@ function App() {
                       <span className="ip-secondary-value">{ipData.ipv6}</span>
                     </div>
                   )}
+                  {ipData.host && (
+                    <div className="ip-secondary" dir="ltr">
+                      <span className="ip-secondary-label">{ipData.host}: </span>
+                      <span className="ip-secondary-value">{ipData.addresses.join(', ')}</span>
+                    </div>
+                  )}
                   {ipData.source && (
                     <div className="source-badge">
                       <span className="source-label">منبع: </span>
@@ -253,14 +267,14 @@ function App() {
               <div className="api-endpoint">
                 <div className="endpoint-header">
                   <span className="method">GET</span>
-                  <span className="endpoint-url" dir="ltr">/ip</span>
+                  <span className="endpoint-url" dir="ltr">/api/v1/ip</span>
                 </div>
                 <div className="endpoint-body">
                   <p className="endpoint-desc">
                     اطلاعات آدرس IP فعلی شما را برمی‌گرداند.
                   </p>
                   <div className="code-block">
-                    <pre dir="ltr">{`curl ${getBackendUrl()}/ip`}</pre>
+                    <pre dir="ltr">{`curl ${getBackendUrl()}${API_PATH}/ip`}</pre>
                   </div>
                 </div>
               </div>
@@ -269,14 +283,14 @@ function App() {
               <div className="api-endpoint">
                 <div className="endpoint-header">
                   <span className="method">GET</span>
-                  <span className="endpoint-url" dir="ltr">/ip/:ip</span>
+                  <span className="endpoint-url" dir="ltr">/api/v1/ip/:ip</span>
                 </div>
                 <div className="endpoint-body">
                   <p className="endpoint-desc">
                     اطلاعات یک آدرس IP خاص را برمی‌گرداند.
                   </p>
                   <div className="code-block">
-                    <pre dir="ltr">{`curl ${getBackendUrl()}/ip/8.8.8.8`}</pre>
+                    <pre dir="ltr">{`curl ${getBackendUrl()}${API_PATH}/ip/8.8.8.8`}</pre>
                   </div>
                 </div>
               </div>
@@ -285,7 +299,7 @@ function App() {
               <div className="api-endpoint">
                 <div className="endpoint-header">
                   <span className="method">GET</span>
-                  <span className="endpoint-url" dir="ltr">/health</span>
+                  <span className="endpoint-url" dir="ltr">/api/v1/health</span>
                 </div>
                 <div className="endpoint-body">
                   <p className="endpoint-desc">
@@ -298,7 +312,7 @@ function App() {
               <div className="api-endpoint">
                 <div className="endpoint-header">
                   <span className="method">GET</span>
-                  <span className="endpoint-url" dir="ltr">/info</span>
+                  <span className="endpoint-url" dir="ltr">/api/v1/info</span>
                 </div>
                 <div className="endpoint-body">
                   <p className="endpoint-desc">
@@ -0,0 +1,107 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { makeDataDir, startServer } from './helpers.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+const dataDir = makeDataDir();
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function admin(server, method, path, body) {
+  return fetch(`${server.url}/admin/${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+async function createKey(server, body) {
+  const response = await admin(server, 'POST', 'keys', body);
+  assert.equal(response.status, 201);
+  return response.json();
+}
+
+const lookup = (server, key) => fetch(`${server.url}/ip`, { headers: { 'X-API-Key': key } });
+
+test('the admin API needs ADMIN_TOKEN and the right bearer token', async (t) => {
+  const disabled = await startServer(dataDir, { REQUIRE_API_KEY: 'true' });
+  t.after(disabled.stop);
+  assert.equal((await admin(disabled, 'GET', 'keys')).status, 404);
+  // REQUIRE_API_KEY leaves the health checks open
+  assert.equal((await fetch(`${disabled.url}/ip`)).status, 401);
+  assert.equal((await fetch(`${disabled.url}/health`)).status, 200);
+
+  const server = await startServer(dataDir, { ADMIN_TOKEN });
+  t.after(server.stop);
+  const wrong = await fetch(`${server.url}/admin/keys`, { headers: { Authorization: 'Bearer nope' } });
+  assert.equal(wrong.status, 401);
+});
+
+test('keys are created with validated limits and stored hashed', async (t) => {
+  const server = await startServer(dataDir, { ADMIN_TOKEN });
+  t.after(server.stop);
+
+  for (const body of [{ rateLimit: 0 }, { rateLimit: -1 }, { rateLimit: 1.5 }, { rateLimit: '10' }, { dailyQuota: 0 }]) {
+    assert.equal((await admin(server, 'POST', 'keys', body)).status, 400, JSON.stringify(body));
+  }
+
+  const created = await createKey(server, { name: 'reports', rateLimit: null, dailyQuota: null });
+  assert.match(created.key, /^rg_/);
+  assert.deepEqual([created.name, created.rateLimit, created.dailyQuota, created.keyHash], ['reports', 100, null, undefined]);
+
+  // A null rate limit is the anonymous one, not a limit of zero
+  const response = await lookup(server, created.key);
+  assert.notEqual(response.status, 429);
+  assert.equal(response.headers.get('ratelimit-limit'), '100');
+  assert.equal(response.headers.get('ratelimit-policy'), '100;w=60');
+
+  const listed = await (await admin(server, 'GET', 'keys')).json();
+  assert.ok(listed.keys.some(key => key.id === created.id && key.usage.total === 1));
+
+  await server.stop();
+  const stored = fs.readFileSync(join(dataDir, 'api-keys.json'), 'utf8');
+  assert.ok(!stored.includes(created.key));
+  assert.ok(stored.includes(created.id));
+});
+
+test('per-key rate limits and daily quotas refuse requests over the limit', async (t) => {
+  const server = await startServer(dataDir, { ADMIN_TOKEN });
+  t.after(server.stop);
+
+  const limited = await createKey(server, { rateLimit: 2 });
+  assert.notEqual((await lookup(server, limited.key)).status, 429);
+  assert.notEqual((await lookup(server, limited.key)).status, 429);
+  const refused = await lookup(server, limited.key);
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers.get('ratelimit-limit'), '2');
+  assert.ok(Number(refused.headers.get('retry-after')) > 0);
+
+  const quota = await createKey(server, { dailyQuota: 2 });
+  await lookup(server, quota.key);
+  await lookup(server, quota.key);
+  const overQuota = await lookup(server, quota.key);
+  assert.equal(overQuota.status, 429);
+  assert.match((await overQuota.json()).detail, /Daily quota/);
+  assert.equal(overQuota.headers.get('ratelimit-policy'), '100;w=60, 2;w=86400');
+
+  const usage = await (await admin(server, 'GET', `keys/${quota.id}`)).json();
+  assert.deepEqual([usage.usage.total, usage.usage.today], [2, 2]);
+});
+
+test('revoked and unknown keys are refused', async (t) => {
+  const server = await startServer(dataDir, { ADMIN_TOKEN });
+  t.after(server.stop);
+
+  const { id, key } = await createKey(server, {});
+  assert.notEqual((await lookup(server, key)).status, 401);
+
+  const revoked = await (await admin(server, 'DELETE', `keys/${id}`)).json();
+  assert.ok(revoked.revokedAt);
+  assert.equal((await lookup(server, key)).status, 401);
+  assert.equal((await lookup(server, 'rg_unknown')).status, 401);
+
+  assert.equal((await admin(server, 'DELETE', 'keys/missing')).status, 404);
+  assert.equal((await admin(server, 'GET', 'keys/missing')).status, 404);
+});
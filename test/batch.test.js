@@ -0,0 +1,117 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { once } from 'events';
+import { makeDataDir, startServer, toCSV } from './helpers.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// 1.0.0.0/24 AU
+const dataDir = makeDataDir({
+  'IP2LOCATION-LITE-DB1.CSV': toCSV([[16777216, 16777471, 'AU', 'Australia']]),
+});
+
+const server = await startServer(dataDir, { BATCH_MAX_ITEMS: '5', BATCH_BODY_LIMIT: '1kb', ADMIN_TOKEN });
+// The server saves its API keys as it stops, so the directory goes after it
+after(async () => {
+  await server.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function batch(body, headers = {}) {
+  return fetch(`${server.url}/ip/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+}
+
+async function stream(body, headers = {}, query = '') {
+  const response = await fetch(`${server.url}/ip/batch/stream${query}`, { method: 'POST', headers, body });
+  const text = await response.text();
+  return { response, lines: text.split('\n').filter(Boolean).map(line => JSON.parse(line)) };
+}
+
+async function createKey(rateLimit) {
+  const response = await fetch(`${server.url}/admin/keys`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rateLimit }),
+  });
+  return (await response.json()).key;
+}
+
+test('POST /ip/batch answers every entry in order', async () => {
+  const response = await batch(['1.0.0.1', 'bogus', { ip: '1.0.0.2' }, '8.8.8.8', ' 1.0.0.3 ']);
+  assert.equal(response.status, 200);
+  const { count, results } = await response.json();
+  assert.equal(count, 5);
+  assert.deepEqual(results.map(result => result.countryCode ?? result.status), ['AU', 400, 400, 404, 'AU']);
+  assert.match(results[2].detail, /must be IP address strings/);
+
+  const wrapped = await (await batch({ ips: ['1.0.0.1'] })).json();
+  assert.equal(wrapped.results[0].ip, '1.0.0.1');
+});
+
+test('POST /ip/batch rejects malformed and oversized bodies', async () => {
+  assert.equal((await batch({ addresses: ['1.0.0.1'] })).status, 400);
+  assert.equal((await batch('"1.0.0.1"')).status, 400);
+  assert.equal((await batch('[')).status, 400);
+  assert.equal((await batch(Array(6).fill('1.0.0.1'))).status, 413);
+  // BATCH_BODY_LIMIT applies before the item count
+  assert.equal((await batch([`1.0.0.1${' '.repeat(2000)}`])).status, 413);
+});
+
+test('batch items are charged one by one against the rate limit', async () => {
+  const key = await createKey(5);
+  const first = await batch(['1.0.0.1', '1.0.0.2', '1.0.0.3'], { 'X-API-Key': key });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('ratelimit-remaining'), '2');
+
+  // A batch that does not fit is refused whole and charges nothing
+  const refused = await batch(['1.0.0.1', '1.0.0.2', '1.0.0.3'], { 'X-API-Key': key });
+  assert.equal(refused.status, 429);
+  const fits = await batch(['1.0.0.1', '1.0.0.2'], { 'X-API-Key': key });
+  assert.equal(fits.status, 200);
+  assert.equal(fits.headers.get('ratelimit-remaining'), '0');
+});
+
+test('POST /ip/batch/stream answers one NDJSON line per input line', async () => {
+  const body = ['1.0.0.1', '"1.0.0.2"', '{"ip":"1.0.0.3"}', '', 'bogus', 'x'.repeat(2000)].join('\n');
+  const { response, lines } = await stream(body, {}, '?fields=countryCode');
+  assert.equal(response.headers.get('content-type'), 'application/x-ndjson; charset=utf-8');
+  assert.deepEqual(lines.map(line => line.countryCode ?? line.status), ['AU', 'AU', 'AU', 400, 400]);
+  assert.equal(lines[4].detail, 'Line is longer than 1024 characters');
+  assert.equal(lines[4].ip, null);
+
+  // A last line without a newline still counts
+  const rest = await stream('{"ip":\r\n8.8.8.8');
+  assert.deepEqual(rest.lines.map(line => line.status), [400, 404]);
+});
+
+test('POST /ip/batch/stream stops at BATCH_MAX_ITEMS and at the rate limit', async () => {
+  const tooMany = await stream(Array(7).fill('1.0.0.1').join('\n'));
+  assert.equal(tooMany.lines.length, 6);
+  assert.deepEqual(tooMany.lines.slice(0, 5).map(line => line.countryCode), Array(5).fill('AU'));
+  assert.equal(tooMany.lines[5].status, 413);
+
+  const key = await createKey(3);
+  const limited = await stream(Array(5).fill('1.0.0.1').join('\n'), { 'X-API-Key': key });
+  assert.deepEqual(limited.lines.map(line => line.countryCode ?? line.status), ['AU', 'AU', 'AU', 429]);
+});
+
+test('POST /ip/batch/stream answers each line before the body ends', async () => {
+  const { port, pathname } = new URL(`${server.url}/ip/batch/stream`);
+  const request = http.request({ port, path: pathname, method: 'POST', headers: { 'Content-Type': 'text/plain' } });
+  request.write('1.0.0.1\n');
+  const [response] = await once(request, 'response');
+  response.setEncoding('utf8');
+  const [first] = await once(response, 'data');
+  assert.equal(JSON.parse(first).countryCode, 'AU');
+
+  request.end('8.8.8.8\n');
+  let rest = '';
+  for await (const chunk of response) rest += chunk;
+  assert.equal(JSON.parse(rest).status, 404);
+});
@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { makeDataDir, startServer, toCSV } from './helpers.js';
+
+// 1.0.0.0/24 AU
+const dataDir = makeDataDir({
+  'IP2LOCATION-LITE-DB1.CSV': toCSV([[16777216, 16777471, 'AU', 'Australia']]),
+});
+
+const server = await startServer(dataDir);
+// The server saves its API keys as it stops, so the directory goes after it
+after(async () => {
+  await server.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const get = (path, headers = {}) => fetch(`${server.url}${path}`, { headers });
+// fetch adds Cache-Control: no-cache to conditional requests unless one is
+// given, and that forbids a 304
+const revalidate = (path, etag) => get(path, { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' });
+const cacheStats = async () => (await (await get('/info')).json()).cache;
+
+test('spellings of one address share a lookup cache entry', async () => {
+  const before = await cacheStats();
+  for (const ip of ['1.0.0.1', '::ffff:1.0.0.1', '::FFFF:0100:0001', '0:0:0:0:0:ffff:1.0.0.1']) {
+    assert.equal((await get(`/ip/${ip}`)).status, 200, ip);
+  }
+  const stats = await cacheStats();
+  assert.equal(stats.size - before.size, 1);
+  assert.equal(stats.misses - before.misses, 1);
+  assert.equal(stats.hits - before.hits, 3);
+});
+
+test('lookups carry an ETag of the normalized address and answer 304', async () => {
+  const response = await get('/ip/1.0.0.1');
+  const etag = response.headers.get('etag');
+  assert.match(etag, /^"[\w-]+"$/);
+  assert.equal(response.headers.get('cache-control'), 'public, max-age=3600');
+  assert.equal(response.headers.get('vary'), 'Accept');
+
+  assert.equal((await get('/ip/::ffff:1.0.0.1')).headers.get('etag'), etag);
+  const notModified = await revalidate('/ip/::ffff:0100:0001', etag);
+  assert.equal(notModified.status, 304);
+  assert.equal(await notModified.text(), '');
+
+  // Other representations of the same address have their own tags
+  const others = await Promise.all([
+    get('/ip/1.0.0.1?fields=countryCode'),
+    get('/ip/1.0.0.1?format=csv'),
+    get('/ip/1.0.0.1', { Accept: 'application/xml' }),
+    get('/ip/1.0.0.1/countryCode'),
+  ]);
+  const tags = others.map(other => other.headers.get('etag'));
+  assert.equal(new Set([etag, ...tags]).size, 5);
+  assert.equal((await revalidate('/ip/1.0.0.1/countryCode', tags[3])).status, 304);
+});
+
+test('problems are never cacheable and carry no ETag', async () => {
+  for (const path of ['/ip/8.8.8.8', '/ip/bogus', '/ip/10.0.0.1', '/ip/1.0.0.1?fields=nope', '/ip/1.0.0.1/nope', '/ip/1.0.0.1?format=nope']) {
+    const response = await get(path);
+    assert.ok(response.status >= 400, path);
+    assert.equal(response.headers.get('etag'), null, path);
+    assert.equal(response.headers.get('cache-control'), 'no-store', path);
+  }
+  // Not even a 304 for a tag the client made up
+  assert.equal((await revalidate('/ip/8.8.8.8', '*')).status, 404);
+});
+
+test("the caller's own address is not cacheable", async () => {
+  const response = await get('/ip', { 'X-Forwarded-For': '1.0.0.1' });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).countryCode, 'AU');
+  assert.equal(response.headers.get('etag'), null);
+  assert.match(response.headers.get('cache-control'), /no-store/);
+});
+
+test('other JSON responses get no automatic ETag', async () => {
+  const response = await get('/health/live');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('etag'), null);
+});
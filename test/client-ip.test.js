@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { makeDataDir, startServer } from './helpers.js';
+
+// The tests connect over loopback, so 127.0.0.1 is always the direct peer
+const dataDir = makeDataDir({ 'cloudflare-ips.txt': '# test ranges\n127.0.0.0/8\n' });
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// /ip answers with a problem on an empty data directory, but it still names
+// the address it resolved for the client
+async function clientIP(server, headers = {}) {
+  const response = await fetch(`${server.url}/ip`, { headers });
+  return { ip: (await response.json()).ip, remaining: Number(response.headers.get('ratelimit-remaining')) };
+}
+
+test('forwarding headers are honored from a trusted proxy', async (t) => {
+  const server = await startServer(dataDir);
+  t.after(server.stop);
+  const resolve = async (headers) => (await clientIP(server, headers)).ip;
+
+  assert.equal(await resolve(), '127.0.0.1');
+  assert.equal(await resolve({ 'X-Forwarded-For': '8.8.8.8' }), '8.8.8.8');
+  assert.equal(await resolve({ 'X-Real-IP': '8.8.8.8' }), '8.8.8.8');
+  assert.equal(await resolve({ 'X-Forwarded-For': '2001:4860:0:0::1' }), '2001:4860::1');
+
+  // Multi-hop chains are walked back past trusted proxies only
+  assert.equal(await resolve({ 'X-Forwarded-For': '8.8.4.4, 127.0.0.2' }), '8.8.4.4');
+  assert.equal(await resolve({ 'X-Forwarded-For': '8.8.4.4, 8.8.8.8' }), '8.8.8.8');
+  assert.equal(await resolve({ 'X-Forwarded-For': '8.8.4.4:443, [::1]:8080' }), '8.8.4.4');
+  assert.equal(await resolve({ Forwarded: 'for=8.8.4.4;proto=https, for="[2001:4860::1]:443";by=127.0.0.1' }), '2001:4860::1');
+  assert.equal(await resolve({ Forwarded: 'for=8.8.4.4, for=127.0.0.2', 'X-Forwarded-For': '1.1.1.1' }), '8.8.4.4');
+});
+
+test('spoofed and unparsable forwarding headers are ignored', async (t) => {
+  const server = await startServer(dataDir);
+  t.after(server.stop);
+  const resolve = async (headers) => (await clientIP(server, headers)).ip;
+
+  // The loopback proxy is not Cloudflare, so it may be passing the client's own header through
+  assert.equal(await resolve({ 'CF-Connecting-IP': '8.8.8.8' }), '127.0.0.1');
+  assert.equal(await resolve({ 'CF-Connecting-IP': '8.8.8.8', 'X-Forwarded-For': '1.1.1.1' }), '1.1.1.1');
+
+  assert.equal(await resolve({ 'X-Real-IP': 'not-an-ip' }), '127.0.0.1');
+  assert.equal(await resolve({ 'X-Forwarded-For': 'unknown' }), '127.0.0.1');
+  assert.equal(await resolve({ 'X-Forwarded-For': '8.8.4.4, garbage, 127.0.0.2' }), '127.0.0.2');
+  assert.equal(await resolve({ Forwarded: 'for=_hidden' }), '127.0.0.1');
+
+  // Garbage values share the peer's rate-limit bucket instead of opening their own
+  const first = await clientIP(server, { 'X-Real-IP': 'bucket-1' });
+  const second = await clientIP(server, { 'X-Real-IP': 'bucket-2' });
+  assert.equal(second.remaining, first.remaining - 1);
+});
+
+test('forwarding headers from an untrusted peer are ignored', async (t) => {
+  const server = await startServer(dataDir, { TRUSTED_PROXIES: '192.0.2.0/24' });
+  t.after(server.stop);
+
+  for (const headers of [
+    { 'X-Forwarded-For': '8.8.8.8' },
+    { Forwarded: 'for=8.8.8.8' },
+    { 'X-Real-IP': '8.8.8.8' },
+    { 'CF-Connecting-IP': '8.8.8.8' },
+  ]) {
+    assert.equal((await clientIP(server, headers)).ip, '127.0.0.1', JSON.stringify(headers));
+  }
+});
+
+test('CF-Connecting-IP is honored from the Cloudflare ranges', async (t) => {
+  const server = await startServer(dataDir, { TRUSTED_PROXIES: 'cloudflare', CLOUDFLARE_IPS_FILE: join(dataDir, 'cloudflare-ips.txt') });
+  t.after(server.stop);
+  const resolve = async (headers) => (await clientIP(server, headers)).ip;
+
+  assert.equal(await resolve({ 'CF-Connecting-IP': '8.8.8.8', 'X-Forwarded-For': '1.1.1.1' }), '8.8.8.8');
+  assert.equal(await resolve({ 'CF-Connecting-IP': ' 2001:4860::0:1 ' }), '2001:4860::1');
+  // An unparsable value falls back to the other headers
+  assert.equal(await resolve({ 'CF-Connecting-IP': 'bogus', 'X-Forwarded-For': '1.1.1.1' }), '1.1.1.1');
+  assert.equal(await resolve({ 'CF-Connecting-IP': 'bogus' }), '127.0.0.1');
+});
@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { makeDataDir } from './helpers.js';
+
+// PX4 rows; lines 5-9 are malformed and line 9 leaves a quote open until the end
+const dataDir = makeDataDir({
+  'IP2PROXY-LITE-PX4.CSV': [
+    '"16777216","16777471","VPN","AU","Australia","Queensland","Brisbane","Acme, Inc."',
+    '"16777472","16777727","PUB","AU","Australia","-","-","The ""Best"" ISP"',
+    '"16777728","16777983","TOR","AU","Australia","-","-","Multi',
+    'Line"',
+    '"16777984","16778239","VPN","AU","Australia"',
+    '"x","16778495","VPN","AU","Australia","-","-","-"',
+    '"16778751","16778496","VPN","AU","Australia","-","-","-"',
+    '"16779008","16779263","VPN","AU","Aus"tralia","-","-","-"',
+    '"16779264","16779519","VPN","AU","Australia","-","-","Open',
+    '',
+  ].join('\r\n'),
+});
+process.env.DATA_DIR = dataDir;
+const { parseCSVRecord, loadDatabases, applyDatabases, buildIPInfo } = await import('../server/lookup.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('parseCSVRecord splits quoted and unquoted fields', () => {
+  assert.deepEqual(parseCSVRecord('1,2,abc'), ['1', '2', 'abc']);
+  assert.deepEqual(parseCSVRecord('"1","2","Acme, Inc."'), ['1', '2', 'Acme, Inc.']);
+  assert.deepEqual(parseCSVRecord('"The ""Best"" ISP",""""'), ['The "Best" ISP', '"']);
+  assert.deepEqual(parseCSVRecord('a,,""'), ['a', '', '']);
+  assert.deepEqual(parseCSVRecord('a,'), ['a', '']);
+  assert.deepEqual(parseCSVRecord(''), ['']);
+});
+
+test('parseCSVRecord reports records that continue on the next line', () => {
+  assert.equal(parseCSVRecord('"1","Multi'), null);
+  assert.equal(parseCSVRecord('"1","ends with a doubled quote""'), null);
+  assert.deepEqual(parseCSVRecord('"1","Multi\nLine"'), ['1', 'Multi\nLine']);
+});
+
+test('parseCSVRecord rejects stray quotes', () => {
+  assert.throws(() => parseCSVRecord('"1","Aus"tralia"'), /unexpected character after closing quote at column 10/);
+  assert.throws(() => parseCSVRecord('1,Aus"tralia'), /stray quote in unquoted field at column 3/);
+});
+
+test('malformed rows are logged and skipped, not stored', async () => {
+  const warnings = [];
+  const logger = { log() {}, warn: (...args) => warnings.push(args.join(' ')), error() {} };
+  const { databases } = await loadDatabases({ reverse: false, logger });
+  applyDatabases(databases);
+
+  assert.equal(databases.ipProxyDatabase.length, 3);
+  assert.equal(databases.ipProxyDatabase.stats.malformedRows, 5);
+  assert.deepEqual(warnings.map(warning => warning.replace(/^⚠️ IP2PROXY-LITE-PX4\.CSV:/, '')), [
+    '5: skipping malformed row (5 columns, expected 8)',
+    '6: skipping malformed row (range bounds are not integers)',
+    '7: skipping malformed row (invalid address range)',
+    '8: skipping malformed row (unexpected character after closing quote at column 39)',
+    '9: skipping malformed row (unterminated quoted field)',
+  ]);
+
+  assert.equal(buildIPInfo('1.0.0.1').isp, 'Acme, Inc.');
+  assert.equal(buildIPInfo('1.0.1.1').isp, 'The "Best" ISP');
+  assert.equal(buildIPInfo('1.0.2.1').isp, 'Multi\nLine');
+  for (const ip of ['1.0.3.1', '1.0.4.1', '1.0.6.1', '1.0.7.1']) {
+    assert.equal(buildIPInfo(ip).status, 404, ip);
+  }
+});
@@ -0,0 +1,143 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import dgram from 'dgram';
+import { once } from 'events';
+import { makeDataDir, startServer, toCSV } from './helpers.js';
+
+const RECORD_TYPES = { A: 1, PTR: 12, AAAA: 28 };
+
+function encodeName(name) {
+  const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+  return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+function encodeIPv6(address) {
+  const [head, tail = ''] = address.split('::');
+  const groups = (part) => (part ? part.split(':') : []);
+  const all = [...groups(head), ...Array(8 - groups(head).length - groups(tail).length).fill('0'), ...groups(tail)];
+  const bytes = Buffer.alloc(16);
+  all.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  return bytes;
+}
+
+// A DNS server on a random UDP port answering from `zone`: name → { type:
+// [[value, ttl], ...] }, or 'drop' to never answer. Other names get NXDOMAIN.
+// Every question is recorded in `queries` as "TYPE name".
+async function startDnsServer(zone) {
+  const socket = dgram.createSocket('udp4');
+  const queries = [];
+  socket.on('message', (message, remote) => {
+    const labels = [];
+    let offset = 12;
+    while (message[offset] !== 0) {
+      labels.push(message.toString('latin1', offset + 1, offset + 1 + message[offset]));
+      offset += message[offset] + 1;
+    }
+    const name = labels.join('.').toLowerCase();
+    const typeCode = message.readUInt16BE(offset + 1);
+    const type = Object.keys(RECORD_TYPES).find(key => RECORD_TYPES[key] === typeCode);
+    queries.push(`${type} ${name}`);
+    const entry = zone[name];
+    if (entry === 'drop') return;
+
+    const answers = (entry?.[type] ?? []).map(([value, ttl]) => {
+      const data = type === 'A' ? Buffer.from(value.split('.').map(Number)) : type === 'AAAA' ? encodeIPv6(value) : encodeName(value);
+      const record = Buffer.alloc(12);
+      record.writeUInt16BE(0xc00c, 0); // the name, as a pointer to the question
+      record.writeUInt16BE(typeCode, 2);
+      record.writeUInt16BE(1, 4);
+      record.writeUInt32BE(ttl, 6);
+      record.writeUInt16BE(data.length, 10);
+      return Buffer.concat([record, data]);
+    });
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(message.readUInt16BE(0), 0);
+    header.writeUInt16BE(entry ? 0x8180 : 0x8183, 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(answers.length, 6);
+    socket.send(Buffer.concat([header, message.subarray(12, offset + 5), ...answers]), remote.port, remote.address);
+  });
+  socket.bind(0, '127.0.0.1');
+  await once(socket, 'listening');
+  return { address: `127.0.0.1:${socket.address().port}`, queries, close: () => socket.close() };
+}
+
+const count = (queries, query) => queries.filter(entry => entry === query).length;
+
+// 1.0.0.0/24 AU
+const dataDir = makeDataDir({
+  'IP2LOCATION-LITE-DB1.CSV': toCSV([[16777216, 16777471, 'AU', 'Australia']]),
+});
+const dnsServer = await startDnsServer({
+  'example.test': { A: [['1.0.0.1', 30], ['1.0.0.2', 30]], AAAA: [['2001:4860::1', 30]] },
+  'short.test': { A: [['1.0.0.3', 1]] },
+  'v6only.test': { AAAA: [['2001:4860::2', 30]] },
+  'slow.test': 'drop',
+  '1.0.0.1.in-addr.arpa': { PTR: [['one.example.test', 30]] },
+});
+const server = await startServer(dataDir, { DNS_SERVERS: dnsServer.address, DNS_TIMEOUT_MS: '200', DNS_TRIES: '1' });
+
+after(async () => {
+  await server.stop();
+  dnsServer.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const host = (name, query = '') => fetch(`${server.url}/host/${name}${query}`);
+
+test('GET /host resolves through DNS_SERVERS and looks up every address', async () => {
+  const response = await host('Example.TEST.');
+  assert.equal(response.status, 200);
+  const info = await response.json();
+  assert.equal(info.host, 'example.test');
+  assert.deepEqual(info.addresses, ['1.0.0.1', '1.0.0.2', '2001:4860::1']);
+  assert.deepEqual(info.results.map(result => result.countryCode ?? result.status), ['AU', 'AU', 404]);
+
+  // One family without records is fine while the other has some
+  assert.deepEqual((await (await host('v6only.test')).json()).addresses, ['2001:4860::2']);
+  const missing = await host('missing.test');
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).host, 'missing.test');
+});
+
+test('reverse DNS adds hostnames with ptr=true', async () => {
+  const info = await (await fetch(`${server.url}/ip/1.0.0.1?ptr=true`)).json();
+  assert.deepEqual(info.hostnames, ['one.example.test']);
+  const withPtr = await (await host('example.test', '?ptr=true&fields=hostnames')).json();
+  assert.deepEqual(withPtr.results.map(result => result.hostnames), [['one.example.test'], [], undefined]);
+});
+
+test('answers are cached for their TTL, and "no such name" too', async () => {
+  const before = dnsServer.queries.length;
+  await host('example.test');
+  await host('example.test');
+  await host('missing.test');
+  assert.equal(dnsServer.queries.length, before);
+
+  await host('short.test');
+  await host('short.test');
+  assert.equal(count(dnsServer.queries, 'A short.test'), 1);
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  await host('short.test');
+  assert.equal(count(dnsServer.queries, 'A short.test'), 2);
+});
+
+test('a server that does not answer gives 502, and the failure is not cached', async () => {
+  const response = await host('slow.test');
+  assert.equal(response.status, 502);
+  assert.deepEqual(await response.json().then(body => [body.host, body.code]), ['slow.test', 'ETIMEOUT']);
+  await host('slow.test');
+  assert.equal(count(dnsServer.queries, 'A slow.test'), 2);
+
+  // PTR failures only leave the hostnames out
+  const info = await (await fetch(`${server.url}/ip/1.0.0.9?ptr=true`)).json();
+  assert.deepEqual([info.countryCode, info.hostnames], ['AU', []]);
+});
+
+test('invalid hostnames are refused without a query', async () => {
+  const before = dnsServer.queries.length;
+  assert.equal((await host('bad_host-.test')).status, 400);
+  assert.equal((await host('-bad.test')).status, 400);
+  assert.equal(dnsServer.queries.length, before);
+});
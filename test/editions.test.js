@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { makeDataDir, quietLogger, toCSV } from './helpers.js';
+
+const dataDir = makeDataDir();
+process.env.DATA_DIR = dataDir;
+const { loadDatabases } = await import('../server/lookup.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const PLACE = ['US', 'United States', 'California', 'Mountain View'];
+const COORDINATES = ['37.405991', '-122.078514'];
+const PROXY = ['VPN', ...PLACE, 'Google LLC', 'google.com', 'DCH', '15169', 'GOOGLE', '30', 'SPAM'];
+
+// [CSV file name, first row after ip_from and ip_to, expected edition, the
+// edition the name claims when the columns overrule it, environment]
+const CASES = [
+  ['IP2LOCATION-LITE-DB1.CSV', ['US', 'United States'], 'DB1'],
+  ['IP2LOCATION-LITE-DB5.CSV', [...PLACE, ...COORDINATES], 'DB5'],
+  ['location.csv', [...PLACE, ...COORDINATES], 'DB5'],
+  // DB5 and DB7 are both 8 columns wide; only DB5 has coordinates
+  ['location.csv', [...PLACE, 'Google LLC', 'google.com'], 'DB7'],
+  ['IP2LOCATION-LITE-DB5.CSV', [...PLACE, 'Google LLC', 'google.com'], 'DB7', 'DB5'],
+  // DB6 (ISP) and DB9 (ZIP code) look alike, so the name or LITE decides
+  ['location.csv', [...PLACE, ...COORDINATES, '94043'], 'DB9'],
+  ['IP2LOCATION-DB6.CSV', [...PLACE, ...COORDINATES, 'Google LLC'], 'DB6'],
+  // DB8, DB11 and DB13 are 10 columns wide
+  ['location.csv', [...PLACE, ...COORDINATES, 'Google LLC', 'google.com'], 'DB8'],
+  ['location.csv', [...PLACE, ...COORDINATES, '94043', '-07:00'], 'DB11'],
+  ['location.csv', [...PLACE, ...COORDINATES, '-07:00', 'T1'], 'DB13'],
+  ['IP2LOCATION-DB11.CSV', [...PLACE, ...COORDINATES, '-07:00', 'T1'], 'DB13', 'DB11'],
+  ['IP2LOCATION-LITE-DB11.CSV', [...PLACE, '-', '-', '-', '-'], 'DB11'],
+  ['location.csv', [...PLACE, ...COORDINATES, '94043'], 'DB6', null, { IP2LOCATION_EDITION: 'db6' }],
+
+  ['IP2PROXY-LITE-PX2.CSV', ['VPN', 'US', 'United States'], 'PX2'],
+  ['proxy.csv', ['US', 'United States'], 'PX1'],
+  // PX9 and PX10 have the same columns, so only the name or
+  // IP2PROXY_EDITION tells them apart
+  ['IP2PROXY-LITE-PX9.CSV', PROXY, 'PX9'],
+  ['IP2PROXY-PX10.CSV', PROXY, 'PX10'],
+  ['proxy.csv', PROXY, 'PX9'],
+  ['proxy.csv', PROXY, 'PX10', null, { IP2PROXY_EDITION: 'PX10' }],
+  ['IP2PROXY-PX10.CSV', [...PROXY, 'Google'], 'PX11', 'PX10'],
+];
+
+test('CSV editions are told apart by name, width and column shapes', async () => {
+  for (const [i, [file, row, expected, named, env = {}]] of CASES.entries()) {
+    const product = file.startsWith('IP2PROXY') || file.startsWith('proxy') ? 'IP2Proxy' : 'IP2Location';
+    const dbPath = join(dataDir, String(i), file);
+    fs.mkdirSync(join(dataDir, String(i)));
+    fs.writeFileSync(dbPath, toCSV([[16777216, 16777471, ...row]]));
+    const variables = { [product === 'IP2Proxy' ? 'IP2PROXY_CSV' : 'IP2LOCATION_CSV']: dbPath, ...env };
+    Object.assign(process.env, variables);
+
+    const warnings = [];
+    try {
+      const logger = { log() {}, warn: (...args) => warnings.push(args.join(' ')), error() {} };
+      const { databases } = await loadDatabases({ reverse: false, logger });
+      const source = databases.sources.find(entry => entry.name === product);
+      assert.equal(source.edition, expected, `${file}: ${row.join(',')}`);
+    } finally {
+      for (const name of Object.keys(variables)) delete process.env[name];
+    }
+    const renamed = warnings.filter(warning => warning.includes('but its columns match'));
+    assert.deepEqual(renamed, named ? [`⚠️ ${file} is named ${named} but its columns match ${expected}; loading it as ${expected}`] : [], file);
+  }
+});
+
+test('a CSV whose width fits no edition is reported', async () => {
+  const dbPath = join(dataDir, 'IP2LOCATION-LITE-DB3.CSV');
+  fs.writeFileSync(dbPath, toCSV([[16777216, 16777471, 'US', 'United States', 'California', 'Mountain View', 'x', 'y', 'z', 'w', 'v', 'u', 't']]));
+  process.env.IP2LOCATION_CSV = dbPath;
+  try {
+    const { databases, errors } = await loadDatabases({ reverse: false, logger: quietLogger });
+    assert.equal(databases.ipLocationDatabase, null);
+    assert.ok(errors.some(entry => /has 13 columns, which matches no IP2Location edition/.test(entry.error)), JSON.stringify(errors));
+  } finally {
+    delete process.env.IP2LOCATION_CSV;
+  }
+});
@@ -0,0 +1,262 @@
+// Shared fixtures for the node:test suites. Tests load the engine from a
+// temporary DATA_DIR, so they never see (or touch) the real data/ folder.
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import { once } from 'events';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { join } from 'path';
+
+const serverPath = fileURLToPath(new URL('../server/index.js', import.meta.url));
+
+export const quietLogger = { log() {}, warn() {}, error() {} };
+
+// IP2Location-style CSV: every value quoted, one row per array
+export function toCSV(rows) {
+  return rows.map(row => row.map(value => `"${value}"`).join(',')).join('\n') + '\n';
+}
+
+// A fresh temporary directory holding `files` (name → contents)
+export function makeDataDir(files = {}) {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'api-isp-org-test-'));
+  for (const [name, contents] of Object.entries(files)) fs.writeFileSync(join(dir, name), contents);
+  return dir;
+}
+
+async function freePort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  await once(server, 'close');
+  return port;
+}
+
+// Runs the API server on `dataDir` and waits until its databases are loaded.
+// Resolves to { url, stop }, where url is the /api/v1 base.
+export async function startServer(dataDir, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [serverPath], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, WATCH_DATA: 'false', ...env },
+    stdio: 'ignore',
+  });
+  const url = `http://127.0.0.1:${port}/api/v1`;
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+      await once(child, 'exit');
+    }
+  };
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      const response = await fetch(`${url}/health/ready`);
+      if ((await response.json()).status !== 'starting') return { url, stop };
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await stop();
+  throw new Error('Server did not start in time');
+}
+
+// Writes a BIN file in the layout ip2location-bin.js reads. `columns` are the
+// edition's CSV column names; rows are [from, to, ...values] with BigInt
+// addresses. Gaps between rows become empty rows, as in the vendor's files.
+export function writeBinFile(file, { product, type, columns, v4 = [], v6 = [], date = [26, 10, 1] }) {
+  const slots = columns.filter(name => name !== 'countryName');
+  const tables = [[v4, 32, 4], [v6, 128, 16]].map(([rows, bits, addressBytes]) => {
+    if (rows.length === 0) return null;
+    const max = (1n << BigInt(bits)) - 1n;
+    const filled = [];
+    let next = 0n;
+    for (const [from, to, ...values] of [...rows].sort((a, b) => (a[0] < b[0] ? -1 : 1))) {
+      if (from > next) filled.push([next, null]);
+      filled.push([from, values]);
+      next = to + 1n;
+    }
+    if (next < max) filled.push([next, null]);
+    filled.push([max, null]);
+    return { rows: filled, bits, addressBytes, rowSize: addressBytes + slots.length * 4 };
+  });
+  const [t4, t6] = tables;
+
+  const indexBase = 64;
+  let offset = indexBase + tables.filter(Boolean).length * 65536 * 8;
+  for (const table of tables.filter(Boolean)) {
+    table.base = offset;
+    offset += table.rows.length * table.rowSize;
+  }
+  const strings = [];
+  const pointers = new Map();
+  const pointer = (key, bytes) => {
+    if (!pointers.has(key)) {
+      pointers.set(key, offset);
+      strings.push(bytes);
+      offset += bytes.length;
+    }
+    return pointers.get(key);
+  };
+  const text = (value) => Buffer.concat([Buffer.from([Buffer.byteLength(value)]), Buffer.from(value)]);
+  // The country name follows the code, which is padded to 3 bytes
+  const country = (code, name) => pointer(`country:${code}:${name}`, Buffer.concat([Buffer.concat([text(code), Buffer.alloc(2)]).subarray(0, 3), text(name)]));
+
+  const tableBuffers = tables.filter(Boolean).map(table => {
+    const buffer = Buffer.alloc(table.rows.length * table.rowSize);
+    table.rows.forEach(([from, values], i) => {
+      let at = i * table.rowSize;
+      if (table.addressBytes === 4) buffer.writeUInt32LE(Number(from), at);
+      else {
+        buffer.writeBigUInt64LE(from & 0xffffffffffffffffn, at);
+        buffer.writeBigUInt64LE(from >> 64n, at + 8);
+      }
+      at += table.addressBytes;
+      const value = (name) => (values ? values[columns.indexOf(name)] : '-');
+      for (const name of slots) {
+        if (name === 'countryCode') buffer.writeUInt32LE(country(value('countryCode'), value('countryName')), at);
+        else if (name === 'latitude' || name === 'longitude') buffer.writeFloatLE(values ? Number(value(name)) : 0, at);
+        else buffer.writeUInt32LE(pointer(`text:${value(name)}`, text(value(name))), at);
+        at += 4;
+      }
+    });
+    return buffer;
+  });
+
+  const indexes = tables.filter(Boolean).map(({ rows, bits }) => {
+    const index = Buffer.alloc(65536 * 8);
+    const shift = BigInt(bits - 16);
+    const lastAtOrBefore = (address) => rows.findLastIndex(([from]) => from <= address);
+    for (let bucket = 0; bucket < 65536; bucket++) {
+      const low = lastAtOrBefore(BigInt(bucket) << shift);
+      const high = lastAtOrBefore(((BigInt(bucket) + 1n) << shift) - 1n);
+      index.writeUInt32LE(Math.max(low, 0), bucket * 8);
+      index.writeUInt32LE(Math.min(high, rows.length - 2), bucket * 8 + 4);
+    }
+    return index;
+  });
+
+  const header = Buffer.alloc(64);
+  header[0] = type;
+  header[1] = slots.length + 1;
+  [header[2], header[3], header[4]] = date;
+  header.writeUInt32LE(t4 ? t4.rows.length - 1 : 0, 5);
+  header.writeUInt32LE(t4 ? t4.base + 1 : 0, 9);
+  header.writeUInt32LE(t6 ? t6.rows.length - 1 : 0, 13);
+  header.writeUInt32LE(t6 ? t6.base + 1 : 0, 17);
+  header.writeUInt32LE(t4 ? indexBase + 1 : 0, 21);
+  header.writeUInt32LE(t6 ? indexBase + 1 + (t4 ? 65536 * 8 : 0) : 0, 25);
+  header[29] = { IP2Location: 1, IP2Proxy: 2 }[product];
+  fs.writeFileSync(file, Buffer.concat([header, ...indexes, ...tableBuffers, ...strings]));
+}
+
+// MaxMind DB data section encoding: strings, unsigned integers, doubles,
+// arrays and maps, which is all the GeoLite2 editions use
+function mmdbControl(type, size) {
+  const extended = type > 7 ? [type - 7] : [];
+  const first = (type > 7 ? 0 : type << 5);
+  if (size < 29) return Buffer.from([first | size, ...extended]);
+  if (size < 285) return Buffer.from([first | 29, ...extended, size - 29]);
+  return Buffer.from([first | 30, ...extended, (size - 285) >> 8, (size - 285) & 0xff]);
+}
+
+function mmdbEncode(value) {
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([mmdbControl(2, bytes.length), bytes]);
+  }
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+    const bytes = [];
+    for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+    return Buffer.concat([mmdbControl(6, bytes.length), Buffer.from(bytes)]);
+  }
+  if (typeof value === 'number') {
+    const bytes = Buffer.alloc(8);
+    bytes.writeDoubleBE(value);
+    return Buffer.concat([mmdbControl(3, 8), bytes]);
+  }
+  if (Array.isArray(value)) return Buffer.concat([mmdbControl(11, value.length), ...value.map(mmdbEncode)]);
+  const entries = Object.entries(value);
+  return Buffer.concat([mmdbControl(7, entries.length), ...entries.flatMap(([key, item]) => [mmdbEncode(key), mmdbEncode(item)])]);
+}
+
+// Writes an IPv6 MaxMind DB with 24-bit records. `networks` are [cidr, data]
+// pairs; IPv4 networks go under ::/96, and ::ffff:0:0/96 points at that same
+// subtree, as it does in MaxMind's own files.
+export function writeMMDBFile(file, { databaseType, networks }) {
+  const newNode = () => ({ children: [null, null] });
+  const root = newNode();
+  // The node at the end of `prefix` bits of `value`, created on the way
+  const nodeAt = (value, prefix) => {
+    let node = root;
+    for (let i = 0; i < prefix; i++) {
+      const bit = Number((value >> BigInt(127 - i)) & 1n);
+      node = node.children[bit] ??= newNode();
+    }
+    return node;
+  };
+  const ipv4Root = nodeAt(0n, 96);
+  const mapped = nodeAt(0xffffn << 32n, 95);
+  mapped.children[1] = ipv4Root;
+
+  for (const [cidr, data] of networks) {
+    const [address, prefixText] = cidr.split('/');
+    let prefix = Number(prefixText);
+    let value;
+    if (address.includes(':')) {
+      const [head, tail = ''] = address.split('::');
+      const groups = (part) => (part ? part.split(':') : []);
+      const all = [...groups(head), ...Array(8 - groups(head).length - groups(tail).length).fill('0'), ...groups(tail)];
+      value = all.reduce((sum, group) => (sum << 16n) | BigInt(`0x${group}`), 0n);
+    } else {
+      value = address.split('.').reduce((sum, octet) => (sum << 8n) | BigInt(octet), 0n);
+      prefix += 96;
+    }
+    const parent = nodeAt(value, prefix - 1);
+    parent.children[Number((value >> BigInt(128 - prefix)) & 1n)] = { data };
+  }
+
+  const nodes = [];
+  const ids = new Map();
+  const number = (node) => {
+    if (ids.has(node)) return;
+    ids.set(node, nodes.length);
+    nodes.push(node);
+    for (const child of node.children) if (child?.children) number(child);
+  };
+  number(root);
+
+  const data = [];
+  const dataOffsets = new Map();
+  let dataSize = 0;
+  const record = (child) => {
+    if (!child) return nodes.length;
+    if (child.children) return ids.get(child);
+    if (!dataOffsets.has(child)) {
+      const encoded = mmdbEncode(child.data);
+      dataOffsets.set(child, dataSize);
+      data.push(encoded);
+      dataSize += encoded.length;
+    }
+    return nodes.length + 16 + dataOffsets.get(child);
+  };
+  const tree = Buffer.alloc(nodes.length * 6);
+  nodes.forEach((node, i) => {
+    tree.writeUIntBE(record(node.children[0]), i * 6, 3);
+    tree.writeUIntBE(record(node.children[1]), i * 6 + 3, 3);
+  });
+
+  const metadata = mmdbEncode({
+    node_count: nodes.length,
+    record_size: 24,
+    ip_version: 6,
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: 1791072000,
+    description: { en: `Test ${databaseType}` },
+  });
+  fs.writeFileSync(file, Buffer.concat([tree, Buffer.alloc(16), ...data, Buffer.from('\xab\xcd\xefMaxMind.com', 'latin1'), metadata]));
+}
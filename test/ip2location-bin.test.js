@@ -0,0 +1,232 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { makeDataDir, quietLogger, toCSV, writeBinFile } from './helpers.js';
+import { openBinDatabase, readBinHeader } from '../server/ip2location-bin.js';
+
+const PX2 = ['proxyType', 'countryCode', 'countryName'];
+const DB5 = ['countryCode', 'countryName', 'region', 'city', 'latitude', 'longitude'];
+const v6 = (prefix) => BigInt(`0x${prefix.replace(/:/g, '').padEnd(32, '0')}`);
+
+const dataDir = makeDataDir({
+  // Shadowed by the BIN file of the same product
+  'IP2PROXY-LITE-PX2.CSV': toCSV([[16777216, 16777471, 'PUB', 'US', 'United States']]),
+});
+process.env.DATA_DIR = dataDir;
+const { loadDatabases, applyDatabases, closeDatabases, buildIPInfo } = await import('../server/lookup.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const proxyBin = join(dataDir, 'IP2PROXY-LITE-PX2.BIN');
+writeBinFile(proxyBin, {
+  product: 'IP2Proxy',
+  type: 2,
+  columns: PX2,
+  v4: [
+    [16777216n, 16777471n, 'VPN', 'AU', 'Australia'],
+    [16778240n, 16778495n, 'TOR', 'AU', 'Australia'],
+  ],
+});
+
+// An IPv6 file whose IPv4 table stands in for the missing IPv4 file
+const locationBin = join(dataDir, 'IP2LOCATION-LITE-DB5.IPV6.BIN');
+writeBinFile(locationBin, {
+  product: 'IP2Location',
+  type: 5,
+  columns: DB5,
+  v4: [[134744064n, 134744319n, 'US', 'United States', 'California', 'Mountain View', '37.405991', '-122.078514']],
+  v6: [[v6('2a00145'), v6('2a00146') - 1n, 'IE', 'Ireland', 'Dublin', 'Dublin', '53.34399', '-6.26719']],
+});
+
+// A LITE DB1.IPV6 file laid out byte by byte the way the vendor's files are,
+// independent of writeBinFile: the 64-byte header, the IPv4 then the IPv6
+// index (65536 [first row, last row] pairs each), the IPv4 rows (ip_from,
+// country pointer), the IPv6 rows (16-byte ip_from, country pointer), then
+// length-prefixed strings. Header addresses count from 1, string pointers
+// from 0, and a country pointer's name starts 3 bytes after its code.
+const INDEX4 = 64;
+const INDEX6 = INDEX4 + 65536 * 8;
+const ROWS4 = INDEX6 + 65536 * 8;
+const ROWS6 = ROWS4 + 6 * 8;
+const STRINGS = ROWS6 + 6 * 20;
+
+const stringBytes = [];
+const countries = {};
+let stringOffset = STRINGS;
+for (const [code, name] of [['-', '-'], ['AU', 'Australia'], ['CN', 'China'], ['JP', 'Japan'], ['IE', 'Ireland']]) {
+  const codeBytes = Buffer.alloc(3);
+  codeBytes[0] = code.length;
+  codeBytes.write(code, 1, 'latin1');
+  const bytes = Buffer.concat([codeBytes, Buffer.from([name.length]), Buffer.from(name, 'latin1')]);
+  countries[code] = stringOffset;
+  stringBytes.push(bytes);
+  stringOffset += bytes.length;
+}
+
+const vendorBin = join(dataDir, 'IP2LOCATION-LITE-DB1.IPV6.BIN');
+const vendorFile = Buffer.alloc(STRINGS);
+vendorFile[0] = 1; // DB1
+vendorFile[1] = 2; // ip_from and country
+[vendorFile[2], vendorFile[3], vendorFile[4]] = [26, 10, 1];
+vendorFile.writeUInt32LE(5, 5);
+vendorFile.writeUInt32LE(ROWS4 + 1, 9);
+vendorFile.writeUInt32LE(5, 13);
+vendorFile.writeUInt32LE(ROWS6 + 1, 17);
+vendorFile.writeUInt32LE(INDEX4 + 1, 21);
+vendorFile.writeUInt32LE(INDEX6 + 1, 25);
+vendorFile[29] = 1; // IP2Location
+
+// Five rows and the one that ends the last
+[
+  [0, '-'],
+  [16777216, 'AU'], // 1.0.0.0
+  [16777472, 'CN'], // 1.0.1.0
+  [16778240, 'AU'], // 1.0.4.0
+  [16779264, '-'], // 1.0.8.0
+  [0xffffffff, '-'],
+].forEach(([from, code], i) => {
+  vendorFile.writeUInt32LE(from, ROWS4 + i * 8);
+  vendorFile.writeUInt32LE(countries[code], ROWS4 + i * 8 + 4);
+});
+[
+  [0n, '-'],
+  [v6('20010200'), 'JP'],
+  [v6('20010201'), '-'],
+  [v6('2a001450'), 'IE'],
+  [v6('2a001451'), '-'],
+  [(1n << 128n) - 1n, '-'],
+].forEach(([from, code], i) => {
+  vendorFile.writeBigUInt64LE(from & 0xffffffffffffffffn, ROWS6 + i * 20);
+  vendorFile.writeBigUInt64LE(from >> 64n, ROWS6 + i * 20 + 8);
+  vendorFile.writeUInt32LE(countries[code], ROWS6 + i * 20 + 16);
+});
+
+// Only the buckets looked up below are filled; the others narrow the search
+// to row 0, a hole, so a lookup through the wrong bucket finds nothing
+const bucket = (base, prefix, first, last) => {
+  vendorFile.writeUInt32LE(first, base + prefix * 8);
+  vendorFile.writeUInt32LE(last, base + prefix * 8 + 4);
+};
+bucket(INDEX4, 0x0100, 1, 4);
+bucket(INDEX6, 0x2001, 0, 2);
+bucket(INDEX6, 0x2a00, 2, 4);
+fs.writeFileSync(vendorBin, Buffer.concat([vendorFile, ...stringBytes]));
+
+test('readBinHeader reads the edition, date and table sizes', () => {
+  const header = readBinHeader(locationBin);
+  assert.equal(header.type, 5);
+  assert.equal(header.product, 'IP2Location');
+  assert.equal(header.date.toISOString(), '2026-10-01T00:00:00.000Z');
+  assert.equal(header.ipv4.count, 3);
+  assert.equal(header.ipv6.count, 3);
+});
+
+test('openBinDatabase finds rows and reads their columns', () => {
+  const db = openBinDatabase(proxyBin, PX2);
+  try {
+    assert.equal(db.format, 'BIN');
+    assert.equal(db.words, 1);
+    const row = db.findRow(16777300n);
+    assert.deepEqual(db.record(row), { proxyType: 'VPN', countryCode: 'AU', countryName: 'Australia' });
+    assert.equal(db.rangeStart(row), 16777216n);
+    assert.equal(db.rangeEnd(row), 16777471n);
+    assert.equal(db.value(db.findRow(16778240n), 'proxyType'), 'TOR');
+    // Gaps between ranges read as holes
+    const gap = db.findRow(16777472n);
+    assert.equal(db.record(gap), null);
+    assert.equal(db.value(gap, 'countryCode'), null);
+    assert.equal(db.rangeEnd(db.length - 1), 0xfffffffen);
+  } finally {
+    db.close();
+  }
+  assert.throws(() => db.record(0), /has been closed/);
+});
+
+test('openBinDatabase reads the IPv6 table through its own index', () => {
+  const db = openBinDatabase(locationBin, DB5, { ipv6: true });
+  try {
+    assert.equal(db.words, 4);
+    const record = db.record(db.findRow(v6('2a00145') + 1234n));
+    assert.deepEqual(record, { countryCode: 'IE', countryName: 'Ireland', region: 'Dublin', city: 'Dublin', latitude: '53.34399', longitude: '-6.26719' });
+    assert.equal(db.record(db.findRow(v6('2a00146'))), null);
+  } finally {
+    db.close();
+  }
+
+  const v6Only = join(dataDir, 'v6-only.bin');
+  writeBinFile(v6Only, { product: 'IP2Proxy', type: 2, columns: PX2, v6: [[v6('2001db8'), v6('2001db9') - 1n, 'DCH', 'NL', 'Netherlands']] });
+  const proxy = openBinDatabase(v6Only, PX2, { ipv6: true });
+  try {
+    assert.equal(proxy.value(proxy.findRow(v6('2001db8') + 1n), 'proxyType'), 'DCH');
+  } finally {
+    proxy.close();
+  }
+  assert.throws(() => openBinDatabase(v6Only, PX2), /has no IPv4 ranges/);
+});
+
+test('openBinDatabase reads a file in the vendor layout', () => {
+  const header = readBinHeader(vendorBin);
+  assert.deepEqual([header.type, header.columns, header.product], [1, 2, 'IP2Location']);
+  assert.deepEqual([header.ipv4.count, header.ipv6.count], [5, 5]);
+
+  const country = ['countryCode', 'countryName'];
+  const v4 = openBinDatabase(vendorBin, country);
+  try {
+    const row = v4.findRow(16777985n); // 1.0.3.1
+    assert.deepEqual(v4.record(row), { countryCode: 'CN', countryName: 'China' });
+    assert.deepEqual([v4.rangeStart(row), v4.rangeEnd(row)], [16777472n, 16778239n]);
+    assert.deepEqual(v4.record(v4.findRow(16777217n)), { countryCode: 'AU', countryName: 'Australia' });
+    assert.equal(v4.record(v4.findRow(16779265n)), null);
+  } finally {
+    v4.close();
+  }
+
+  const v6Table = openBinDatabase(vendorBin, country, { ipv6: true });
+  try {
+    const row = v6Table.findRow(v6('2a0014504001') + 1n);
+    assert.deepEqual(v6Table.record(row), { countryCode: 'IE', countryName: 'Ireland' });
+    assert.deepEqual([v6Table.rangeStart(row), v6Table.rangeEnd(row)], [v6('2a001450'), v6('2a001451') - 1n]);
+    assert.equal(v6Table.value(v6Table.findRow(v6('20010200') + 5n), 'countryName'), 'Japan');
+    assert.equal(v6Table.record(v6Table.findRow(v6('20010201'))), null);
+  } finally {
+    v6Table.close();
+  }
+});
+
+test('openBinDatabase refuses zips, truncated files and narrower editions', () => {
+  const zip = join(dataDir, 'zipped.bin');
+  fs.writeFileSync(zip, Buffer.concat([Buffer.from('PK\x03\x04'), Buffer.alloc(100)]));
+  assert.throws(() => readBinHeader(zip), /zip archive/);
+
+  const truncated = join(dataDir, 'truncated.bin');
+  fs.writeFileSync(truncated, fs.readFileSync(proxyBin).subarray(0, 65536 * 8 + 80));
+  assert.throws(() => openBinDatabase(truncated, PX2), /truncated/);
+
+  assert.throws(() => openBinDatabase(proxyBin, DB5), /has 3 columns per row, expected 6/);
+});
+
+test('loadDatabases prefers BIN files and closes them when replaced', async () => {
+  const { databases } = await loadDatabases({ logger: quietLogger });
+  applyDatabases(databases);
+  try {
+    const proxy = databases.sources.find(source => source.name === 'IP2Proxy');
+    assert.deepEqual([proxy.format, proxy.edition], ['BIN', 'PX2']);
+    const location = databases.sources.find(source => source.name === 'IP2Location');
+    assert.deepEqual([location.format, location.edition, location.path], ['BIN', 'DB5', locationBin]);
+
+    const info = buildIPInfo('8.8.8.8');
+    assert.deepEqual([info.countryCode, info.city, info.latitude], ['US', 'Mountain View', 37.405991]);
+    assert.equal(buildIPInfo('1.0.0.1').proxyType, 'VPN');
+    assert.equal(buildIPInfo('2a00:1450::1').country, 'Ireland');
+
+    // BIN files stay out of the reverse indexes unless REVERSE_INDEXES=true
+    assert.equal(databases.reverseIndexes.proxy.source, null);
+    assert.equal(databases.reverseIndexes.proxy.postings.size, 0);
+  } finally {
+    const { databases: next } = await loadDatabases({ reverse: false, logger: quietLogger });
+    applyDatabases(next);
+    assert.throws(() => databases.ipProxyDatabase.record(0), /has been closed/);
+    closeDatabases(next);
+  }
+});
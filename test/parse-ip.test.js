@@ -0,0 +1,65 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { makeDataDir, quietLogger } from './helpers.js';
+
+const dataDir = makeDataDir();
+process.env.DATA_DIR = dataDir;
+const { parseIP, buildIPInfo, loadDatabases, applyDatabases } = await import('../server/lookup.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('parseIP accepts dotted-quad IPv4 only', () => {
+  assert.deepEqual(parseIP('1.2.3.4'), { ip: '1.2.3.4', version: 4, value: 0x01020304n });
+  assert.equal(parseIP('0.0.0.0').value, 0n);
+  assert.equal(parseIP('255.255.255.255').value, 0xffffffffn);
+  for (const input of ['01.2.3.4', '256.1.1.1', '1.2.3', '1.2.3.4.5', ' 1.2.3.4', '1.2.3.4 ', '0x1.2.3.4', '']) {
+    assert.equal(parseIP(input), null, input);
+  }
+});
+
+test('parseIP normalizes IPv6 to RFC 5952 form', () => {
+  assert.equal(parseIP('2001:DB8:0:0:0:0:0:1').ip, '2001:db8::1');
+  assert.equal(parseIP('2001:0db8::0:1').ip, '2001:db8::1');
+  assert.equal(parseIP('2001:db8:0:0:1:0:0:1').ip, '2001:db8::1:0:0:1');
+  assert.equal(parseIP('::').ip, '::');
+  assert.equal(parseIP('::1').version, 6);
+  assert.equal(parseIP('64:ff9b::192.0.2.33').ip, '64:ff9b::c000:221');
+  for (const input of ['1::2::3', '2001:db8:::1', '12345::', '1:2:3:4:5:6:7:8:9', '1:2:3:4:5:6:7', 'g::1', ':1']) {
+    assert.equal(parseIP(input), null, input);
+  }
+});
+
+test('parseIP drops zone IDs and unwraps IPv4-mapped addresses', () => {
+  assert.equal(parseIP('fe80::1%eth0').ip, 'fe80::1');
+  assert.equal(parseIP('fe80::1%'), null);
+  assert.equal(parseIP('fe80::1%a%b'), null);
+  assert.deepEqual(parseIP('::ffff:1.2.3.4'), { ip: '1.2.3.4', version: 4, value: 0x01020304n });
+  assert.deepEqual(parseIP('::FFFF:0102:0304'), parseIP('1.2.3.4'));
+});
+
+test('parseIP reports the IPv4 address inside 6to4 and Teredo addresses', () => {
+  assert.deepEqual(parseIP('2002:c000:0204::1').embedded, { type: '6to4', ipv4: '192.0.2.4' });
+  assert.deepEqual(parseIP('2001:0:4136:e378:8000:63bf:3fff:fdd2').embedded, { type: 'teredo', ipv4: '192.0.2.45' });
+  assert.equal(parseIP('2001:db8::1').embedded, undefined);
+});
+
+test('parseIP rejects anything that is not a string', () => {
+  for (const input of [undefined, null, 16909060, ['1.2.3.4'], { ip: '1.2.3.4' }]) {
+    assert.equal(parseIP(input), null);
+  }
+});
+
+test('buildIPInfo answers with typed problems for bad, reserved and unknown addresses', async () => {
+  const { databases } = await loadDatabases({ logger: quietLogger });
+  applyDatabases(databases);
+
+  const invalid = buildIPInfo('1.2.3');
+  assert.deepEqual([invalid.status, invalid.type, invalid.ip], [400, '/problems/invalid-ip', '1.2.3']);
+
+  const reserved = buildIPInfo('10.0.0.1');
+  assert.deepEqual([reserved.status, reserved.type, reserved.specialPurpose.type], [422, '/problems/reserved-ip', 'private']);
+
+  const notFound = buildIPInfo('::ffff:8.8.8.8');
+  assert.deepEqual([notFound.status, notFound.type, notFound.ip], [404, '/problems/ip-not-found', '8.8.8.8']);
+});
@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { makeDataDir, quietLogger, toCSV } from './helpers.js';
+
+const cliPath = fileURLToPath(new URL('../server/ip-lookup.js', import.meta.url));
+
+// The sources disagree on the country of 1.0.0.0/24
+const dataDir = makeDataDir({
+  'IP2LOCATION-LITE-DB1.CSV': toCSV([[16777216, 16777471, 'AU', 'Australia']]),
+  'IP2PROXY-LITE-PX2.CSV': toCSV([[16777216, 16777471, 'VPN', 'NZ', 'New Zealand']]),
+});
+process.env.DATA_DIR = dataDir;
+process.env.FIELD_PRECEDENCE = '{"countryCode":["IP2Location","IP2Proxy"]}';
+const { loadDatabases, applyDatabases, buildIPInfo } = await import('../server/lookup.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Runs the CLI on `dataDir` with extra environment variables
+async function runCLI(args, env) {
+  const { stdout, stderr } = await promisify(execFile)(process.execPath, [cliPath, ...args], {
+    env: { ...process.env, DATA_DIR: dataDir, FIELD_PRECEDENCE: '', ...env },
+  });
+  return { results: JSON.parse(stdout), stderr };
+}
+
+test('FIELD_PRECEDENCE overrides the source order of the listed fields', async () => {
+  const { databases } = await loadDatabases({ reverse: false, logger: quietLogger });
+  applyDatabases(databases);
+
+  const info = buildIPInfo('1.0.0.1', { explain: true });
+  assert.deepEqual([info.countryCode, info.country], ['AU', 'New Zealand']);
+  assert.deepEqual(info.explain.precedence, ['Overlay', 'MaxMind', 'IP2Proxy', 'IP2Location']);
+  // explain reports the order each field was actually resolved in
+  assert.deepEqual(info.explain.fields.countryCode.precedence, ['Overlay', 'IP2Location', 'IP2Proxy', 'MaxMind']);
+  assert.deepEqual(info.explain.fields.country.precedence, info.explain.precedence);
+  assert.deepEqual(info.explain.conflicts, ['country', 'countryCode']);
+});
+
+test('an invalid FIELD_PRECEDENCE is reported and the defaults are used', async () => {
+  for (const value of ['{"countryCode":', '["IP2Location"]', '{"countryCode":"IP2Location"}', 'null']) {
+    const { results: [info], stderr } = await runCLI(['1.0.0.1'], { FIELD_PRECEDENCE: value });
+    assert.equal(info.countryCode, 'NZ', value);
+    assert.match(stderr, /Ignoring FIELD_PRECEDENCE, using the defaults/, value);
+  }
+});
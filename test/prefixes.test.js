@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { makeDataDir, quietLogger, startServer, toCSV } from './helpers.js';
+
+const v6 = (prefix) => BigInt(`0x${prefix.replace(/:/g, '').padEnd(32, '0')}`);
+
+// AU: 1.0.0.0/24, 1.0.4.0/22 and 2001:db8::/32; CN: 1.0.1.0-1.0.3.255
+const dataDir = makeDataDir({
+  'IP2LOCATION-LITE-DB1.CSV': toCSV([
+    [16777216, 16777471, 'AU', 'Australia'],
+    [16777472, 16778239, 'CN', 'China'],
+    [16778240, 16779263, 'AU', 'Australia'],
+  ]),
+  'IP2LOCATION-LITE-DB1.IPV6.CSV': toCSV([
+    [v6('20010db8'), v6('20010db9') - 1n, 'AU', 'Australia'],
+  ]),
+  'IP2PROXY-LITE-PX2.CSV': toCSV([
+    [16777216, 16777471, 'VPN', 'AU', 'Australia'],
+    [16778240, 16778495, 'TOR', 'AU', 'Australia'],
+  ]),
+});
+process.env.DATA_DIR = dataDir;
+const { loadDatabases, getPrefixPage } = await import('../server/lookup.js');
+
+const { databases } = await loadDatabases({ logger: quietLogger });
+const { country } = databases.reverseIndexes;
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('getPrefixPage lists the CIDRs of a key in address order', () => {
+  assert.deepEqual(getPrefixPage(country.postings.get('AU'), { version: null, offset: 0, limit: 10 }), {
+    prefixes: ['1.0.0.0/24', '1.0.4.0/22', '2001:db8::/32'],
+    hasMore: false,
+  });
+  assert.deepEqual(getPrefixPage(country.postings.get('CN'), { version: null, offset: 0, limit: 10 }).prefixes, ['1.0.1.0/24', '1.0.2.0/23']);
+});
+
+test('getPrefixPage pages with offset and limit and filters by version', () => {
+  const entries = country.postings.get('AU');
+  assert.deepEqual(getPrefixPage(entries, { version: null, offset: 0, limit: 2 }), { prefixes: ['1.0.0.0/24', '1.0.4.0/22'], hasMore: true });
+  assert.deepEqual(getPrefixPage(entries, { version: null, offset: 2, limit: 2 }), { prefixes: ['2001:db8::/32'], hasMore: false });
+  assert.deepEqual(getPrefixPage(entries, { version: 6, offset: 0, limit: 10 }).prefixes, ['2001:db8::/32']);
+  assert.deepEqual(getPrefixPage(entries, { version: 4, offset: 1, limit: 10 }).prefixes, ['1.0.4.0/22']);
+});
+
+test('prefix endpoints reject a limit that is not a positive integer', async (t) => {
+  const server = await startServer(dataDir, { PREFIX_MAX_RESULTS: '2' });
+  t.after(server.stop);
+
+  for (const path of ['asn/15169/prefixes', 'country/AU/prefixes', 'proxy/ranges']) {
+    for (const limit of ['-1', '0', '2.5', 'x']) {
+      const response = await fetch(`${server.url}/${path}?limit=${limit}`);
+      assert.equal(response.status, 400, `${path}?limit=${limit}`);
+    }
+  }
+
+  const page = await (await fetch(`${server.url}/country/AU/prefixes?limit=1`)).json();
+  assert.deepEqual([page.limit, page.prefixes, page.hasMore, page.nextOffset], [1, ['1.0.0.0/24'], true, 1]);
+
+  // PREFIX_MAX_RESULTS caps larger limits
+  const capped = await (await fetch(`${server.url}/country/AU/prefixes?limit=100`)).json();
+  assert.deepEqual([capped.limit, capped.prefixes.length, capped.hasMore], [2, 2, true]);
+
+  const text = await fetch(`${server.url}/proxy/ranges?type=tor&format=text`);
+  assert.equal(await text.text(), '1.0.4.0/24\n');
+  assert.equal(text.headers.get('x-next-offset'), null);
+});
@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { makeDataDir, quietLogger, startServer, toCSV, writeMMDBFile } from './helpers.js';
+
+// 1.0.0.0/24 AU (VPN), 1.0.1.0-1.0.3.255 CN, 1.0.4.0/22 AU; MaxMind ASNs for
+// 1.0.0.0/24 and 2a00:1450::/32
+const dataDir = makeDataDir({
+  'IP2LOCATION-LITE-DB1.CSV': toCSV([
+    [16777216, 16777471, 'AU', 'Australia'],
+    [16777472, 16778239, 'CN', 'China'],
+    [16778240, 16779263, 'AU', 'Australia'],
+  ]),
+  'IP2PROXY-LITE-PX2.CSV': toCSV([
+    [16777216, 16777471, 'VPN', 'AU', 'Australia'],
+  ]),
+});
+writeMMDBFile(join(dataDir, 'GeoLite2-ASN.mmdb'), {
+  databaseType: 'GeoLite2-ASN',
+  networks: [
+    ['1.0.0.0/24', { autonomous_system_number: 13335, autonomous_system_organization: 'Cloudflare' }],
+    ['2a00:1450::/32', { autonomous_system_number: 15169, autonomous_system_organization: 'Google' }],
+  ],
+});
+process.env.DATA_DIR = dataDir;
+const { loadDatabases, applyDatabases, getRangeInfo, parseCIDR } = await import('../server/lookup.js');
+
+const { databases } = await loadDatabases({ logger: quietLogger });
+applyDatabases(databases);
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('getRangeInfo cuts a prefix where the sources change', () => {
+  const info = getRangeInfo(parseCIDR('1.0.0.0/21'), { limit: 100 });
+  assert.equal(info.addresses, 2048);
+  assert.equal(info.truncated, false);
+  assert.deepEqual(info.subRanges.map(range => [range.start, range.end, range.countryCode, range.proxyType]), [
+    ['1.0.0.0', '1.0.0.255', 'AU', 'VPN'],
+    ['1.0.1.0', '1.0.3.255', 'CN', null],
+    ['1.0.4.0', '1.0.7.255', 'AU', null],
+  ]);
+  assert.deepEqual(info.subRanges[1].cidrs, ['1.0.1.0/24', '1.0.2.0/23']);
+  assert.deepEqual(info.summary.countries, { AU: 1280, CN: 768 });
+  assert.equal(info.summary.proxyAddresses, 256);
+});
+
+test('getRangeInfo pages with limit and resumes from nextAddress', () => {
+  const range = parseCIDR('1.0.0.0/21');
+  const whole = getRangeInfo(range, { limit: 100 }).subRanges;
+  const paged = [];
+  let from;
+  for (let page = 0; page < whole.length + 1; page++) {
+    const info = getRangeInfo(range, { limit: 1, from });
+    paged.push(...info.subRanges);
+    if (!info.truncated) break;
+    assert.equal(info.subRanges.length, 1);
+    from = parseCIDR(info.nextAddress).start;
+  }
+  assert.deepEqual(paged, whole);
+});
+
+test('getRangeInfo skips the IPv6 ranges MaxMind aliases onto IPv4', () => {
+  assert.equal(getRangeInfo(parseCIDR('1.0.0.0/24'), { limit: 10 }).subRanges[0].asn, 13335);
+
+  // ::/96 and ::ffff:0:0/96 lead to the same IPv4 networks
+  const info = getRangeInfo(parseCIDR('::/0'), { limit: 10 });
+  assert.deepEqual(info.subRanges.map(range => [range.cidrs, range.asn]), [[['2a00:1450::/32'], 15169]]);
+  assert.deepEqual(info.summary.asns, { 15169: (2n ** 96n).toString() });
+  assert.deepEqual(getRangeInfo(parseCIDR('::ffff:0:0/96'), { limit: 10 }).subRanges, []);
+});
+
+test('GET /range rejects a limit that is not a positive integer', async (t) => {
+  const server = await startServer(dataDir, { RANGE_MAX_RESULTS: '2' });
+  t.after(server.stop);
+
+  for (const limit of ['-3', '0', '1.5', 'abc']) {
+    const response = await fetch(`${server.url}/range/1.0.0.0/21?limit=${limit}`);
+    assert.equal(response.status, 400, `limit=${limit}`);
+    assert.equal(response.headers.get('content-type'), 'application/problem+json; charset=utf-8');
+  }
+
+  const one = await (await fetch(`${server.url}/range/1.0.0.0/21?limit=1`)).json();
+  assert.equal(one.subRanges.length, 1);
+  assert.equal(one.nextAddress, '1.0.1.0');
+
+  // RANGE_MAX_RESULTS caps larger limits
+  const capped = await (await fetch(`${server.url}/range/1.0.0.0/21?limit=100`)).json();
+  assert.equal(capped.subRanges.length, 2);
+  assert.equal(capped.truncated, true);
+});
@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { makeDataDir, quietLogger, toCSV } from './helpers.js';
+
+const cliPath = fileURLToPath(new URL('../server/ip-lookup.js', import.meta.url));
+
+// PX9 rows: proxy type, country, region, city, ISP, domain, usage type, ASN,
+// AS name, last seen, threat
+const proxyRow = (from, proxyType, usageType, asn, threat = '-') => [
+  from, from + 255, proxyType, 'US', 'United States', '-', '-', '-', '-', usageType, asn, '-', '30', threat,
+];
+const dataDir = makeDataDir({
+  'IP2PROXY-LITE-PX9.CSV': toCSV([
+    proxyRow(16777216, 'TOR', 'DCH', 64500, 'SPAM'), // 1.0.0.0/24
+    proxyRow(16777472, 'VPN', 'MOB/ISP', 64500), // 1.0.1.0/24
+    proxyRow(16777728, 'PUB', 'ISP', 64500), // 1.0.2.0/24
+    proxyRow(16777984, 'SES', 'ISP', 64501), // 1.0.3.0/24, a datacenter ASN
+    proxyRow(16778240, 'SES', 'ISP', 64500), // 1.0.4.0/24, 1.0.4.1 on the Tor exit list
+  ]),
+  'tor-exit-nodes.txt': 'ExitAddress 1.0.4.1 2026-10-01 00:00:00\n',
+  'datacenter-asns.txt': 'AS64501\n',
+});
+process.env.DATA_DIR = dataDir;
+process.env.RISK_RULES = '{"weights":{"vpn":10,"mobile":5},"proxyTypes":{"hosting":["DCH","SES"]}}';
+const { loadDatabases, applyDatabases, buildIPInfo } = await import('../server/lookup.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const ADDRESSES = ['1.0.0.1', '1.0.1.1', '1.0.2.1', '1.0.3.1', '1.0.4.1', '1.0.4.2'];
+
+// Scores and reasons from the CLI, which runs with the given RISK_RULES
+async function cliScores(riskRules) {
+  const { stdout, stderr } = await promisify(execFile)(process.execPath, [cliPath, '--fields', 'security', ...ADDRESSES], {
+    env: { ...process.env, DATA_DIR: dataDir, RISK_RULES: riskRules },
+  });
+  return { scores: JSON.parse(stdout).map(info => [info.security.riskScore, info.security.reasons]), stderr };
+}
+
+const DEFAULT_SCORES = [
+  [100, ['tor', 'hosting', 'threat']],
+  [60, ['vpn', 'mobile']],
+  [70, ['proxy']],
+  [30, ['hosting']],
+  [80, ['tor']],
+  [0, []],
+];
+
+test('the default rules score proxy codes, usage types and the risk lists', async () => {
+  const { scores, stderr } = await cliScores('');
+  assert.deepEqual(scores, DEFAULT_SCORES);
+  assert.doesNotMatch(stderr, /RISK_RULES/);
+});
+
+test('RISK_RULES overrides weights and code lists', async () => {
+  const { databases } = await loadDatabases({ reverse: false, logger: quietLogger });
+  applyDatabases(databases);
+
+  const security = ADDRESSES.map(ip => buildIPInfo(ip).security);
+  assert.deepEqual(security.map(info => [info.riskScore, info.reasons]), [
+    [100, ['tor', 'hosting', 'threat']],
+    [15, ['vpn', 'mobile']],
+    [70, ['proxy']],
+    [30, ['hosting']],
+    // 80 + 30, capped at 100
+    [100, ['tor', 'hosting']],
+    [30, ['hosting']],
+  ]);
+  assert.deepEqual([security[1].isVpn, security[1].isMobile, security[5].isHosting, security[5].isTor], [true, true, true, false]);
+});
+
+test('an invalid RISK_RULES is reported and the default rules are used', async () => {
+  for (const value of ['{"weights":', 'null', '[]', '{"weights":[1]}', '{"weights":{"vpn":"high"}}', '{"proxyTypes":{"tor":"TOR"}}']) {
+    const { scores, stderr } = await cliScores(value);
+    assert.deepEqual(scores, DEFAULT_SCORES, value);
+    assert.match(stderr, /Ignoring RISK_RULES, using the defaults/, value);
+  }
+});
@@ -0,0 +1,85 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import zlib from 'zlib';
+import { join } from 'path';
+import { makeDataDir } from './helpers.js';
+
+const dataDir = makeDataDir();
+process.env.DATA_DIR = dataDir;
+const { extractArchive, installFile, rollbackFile } = await import('../server/update-db.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const read = (relativePath) => fs.readFileSync(join(dataDir, relativePath), 'utf8');
+
+function stage(contents) {
+  const staged = join(dataDir, `staged-${Math.random().toString(36).slice(2)}`);
+  fs.writeFileSync(staged, contents);
+  return staged;
+}
+
+// A ustar entry; names over 100 bytes get a GNU long-name entry first
+function tarEntry(name, data, mtime, type = '0') {
+  if (Buffer.byteLength(name) > 100) {
+    return Buffer.concat([tarEntry('././@LongLink', Buffer.from(`${name}\0`), mtime, 'L'), tarEntry(name.slice(0, 100), data, mtime, type)]);
+  }
+  const header = Buffer.alloc(512);
+  header.write(name, 0);
+  header.write('0000644\0', 100);
+  header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+  header.write(`${Math.floor(mtime.getTime() / 1000).toString(8).padStart(11, '0')}\0`, 136);
+  header.write(type, 156);
+  header.write('ustar\0' + '00', 257);
+  header.fill(' ', 148, 156);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+  return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+test('installFile keeps the replaced file for rollback', () => {
+  installFile(stage('v1'), 'GeoLite2-City.mmdb');
+  assert.equal(read('GeoLite2-City.mmdb'), 'v1');
+  assert.equal(fs.existsSync(join(dataDir, '.previous', 'GeoLite2-City.mmdb')), false);
+
+  installFile(stage('v2'), 'GeoLite2-City.mmdb');
+  assert.equal(read('GeoLite2-City.mmdb'), 'v2');
+  assert.equal(read('.previous/GeoLite2-City.mmdb'), 'v1');
+});
+
+test('rollbackFile swaps the current and previous versions', () => {
+  installFile(stage('old'), 'IP2LOCATION-LITE-DB11.CSV/IP2LOCATION-LITE-DB11.CSV');
+  installFile(stage('new'), 'IP2LOCATION-LITE-DB11.CSV/IP2LOCATION-LITE-DB11.CSV');
+
+  assert.equal(rollbackFile('IP2LOCATION-LITE-DB11.CSV/IP2LOCATION-LITE-DB11.CSV'), true);
+  assert.equal(read('IP2LOCATION-LITE-DB11.CSV/IP2LOCATION-LITE-DB11.CSV'), 'old');
+  // A second rollback undoes the first
+  assert.equal(rollbackFile('IP2LOCATION-LITE-DB11.CSV/IP2LOCATION-LITE-DB11.CSV'), true);
+  assert.equal(read('IP2LOCATION-LITE-DB11.CSV/IP2LOCATION-LITE-DB11.CSV'), 'new');
+
+  assert.equal(rollbackFile('missing.mmdb'), false);
+});
+
+test('extractArchive streams the wanted members out of a tar.gz', async () => {
+  const mtime = new Date('2026-10-06T00:00:00Z');
+  const big = Buffer.alloc(300000, 'x');
+  const longName = `${'d'.repeat(120)}/GeoLite2-ASN.mmdb`;
+  const archive = join(dataDir, 'GeoLite2.tar.gz');
+  fs.writeFileSync(archive, zlib.gzipSync(Buffer.concat([
+    tarEntry('GeoLite2-City_20261006/COPYRIGHT.txt', Buffer.from('skipped'), mtime),
+    tarEntry('GeoLite2-City_20261006/GeoLite2-City.mmdb', big, mtime),
+    tarEntry(longName, Buffer.from('asn'), mtime),
+    Buffer.alloc(1024),
+  ])));
+
+  const outputs = { 'GeoLite2-City.mmdb': join(dataDir, 'city.out'), 'GeoLite2-ASN.mmdb': join(dataDir, 'asn.out') };
+  assert.deepEqual(await extractArchive(archive, 'GeoLite2.tar.gz', outputs), ['GeoLite2-City.mmdb', 'GeoLite2-ASN.mmdb']);
+  assert.ok(fs.readFileSync(outputs['GeoLite2-City.mmdb']).equals(big));
+  assert.equal(fs.readFileSync(outputs['GeoLite2-ASN.mmdb'], 'utf8'), 'asn');
+  assert.equal(fs.statSync(outputs['GeoLite2-City.mmdb']).mtime.getTime(), mtime.getTime());
+
+  const truncated = join(dataDir, 'truncated.tar.gz');
+  fs.writeFileSync(truncated, zlib.gzipSync(tarEntry('GeoLite2-City.mmdb', big, mtime).subarray(0, 100000)));
+  await assert.rejects(extractArchive(truncated, 'truncated.tar.gz', outputs), /Truncated tar archive/);
+});